@@ -4,11 +4,25 @@
 
 Este archivo contiene la lógica de toda la web:
 
-- Persistencia: localStorage (usuarios, sesión, comentarios, mensajes y récords)
-- Autenticación: registro, login, logout, restablecimiento de contraseña
-- Roles: usuario normal y administrador
-- Comentarios: envío + moderación (aprobación/borrado)
-- Contacto: formulario + bandeja en el panel admin
+- Persistencia: Store con drivers (localStorage, IndexedDB o REST) para usuarios,
+  sesión, comentarios, mensajes y récords
+- Autenticación: registro con verificación de email, login (con 2FA opcional), logout,
+  restablecimiento de contraseña (frase o enlace por email)
+- Correo: outbox local (visible en el panel admin) o endpoint HTTP
+- Perfil: cambiar nombre, email, contraseña y frase; descargar mis datos y darse de baja
+- Roles y permisos: usuario, moderador (comentarios) y administrador
+- Sanciones: suspender usuarios con motivo y fecha de fin opcional
+- Comentarios: envío, respuestas en hilo, edición/borrado por el autor (con historial),
+  reacciones, reportes de usuarios y moderación (aprobar/rechazar con nota/borrar,
+  en lote y con teclado)
+- Antispam: reglas configurables (palabras, enlaces, mayúsculas, duplicados...) para
+  comentarios y mensajes de contacto
+- Contacto: formulario + bandeja de soporte en el panel admin (estados, asignación,
+  notas internas y respuestas por email); cada usuario ve sus conversaciones
+- Datos: copia de seguridad (exportar/importar) desde el panel admin
+- Auditoría: registro de acciones del panel y de accesos (filtrable y exportable)
+- Notificaciones: campana en el menú con avisos por usuario (y copia de los toasts),
+  contadores sin leer en el menú y en las pestañas del panel
 - Mini‑juegos: se abren en un modal y guardan récords (si hay sesión)
 
 IMPORTANTE:
@@ -25,7 +39,20 @@ IMPORTANTE:
   ========================================================================== */
   const CONFIG = {
     appName: "GameZone",            // Nombre de la aplicación (para textos/toasts).
-    storagePrefix: "gz_",           // Prefijo de keys en localStorage.
+    storagePrefix: "gz_",           // Prefijo de keys en el almacenamiento.
+
+    // Backend de almacenamiento: "local" | "indexedDB" | "rest".
+    storage: {
+      driver: "local",
+      indexedDB: {
+        dbName: "gamezone",
+        storeName: "kv"
+      },
+      rest: {
+        baseUrl: "/api/store",      // GET/PUT/DELETE {baseUrl}/{key}; GET {baseUrl} → lista de keys.
+        headers: {}                 // Cabeceras extra (ej: Authorization).
+      }
+    },
 
     // Administrador “semilla” (se crea automáticamente si no existe).
     defaultAdmin: {
@@ -35,9 +62,127 @@ IMPORTANTE:
       recovery: "adminRecovery"
     },
 
-    // Reglas mínimas de contraseña.
+    // Política de contraseñas + parámetros del hash (PBKDF2).
     password: {
-      minLen: 6
+      minLen: 8,
+      classes: {                // Tipos de carácter obligatorios.
+        lower: true,
+        upper: true,
+        digit: true,
+        symbol: false
+      },
+      forbidPersonal: true,     // No puede contener el nombre ni el email.
+      maxAgeDays: 365,          // Caducidad (0 = nunca).
+      blocklist: [              // Contraseñas demasiado comunes (se compara en minúsculas).
+        "123456", "12345678", "123456789", "1234567890", "password", "password1",
+        "contraseña", "qwerty", "qwerty123", "abc123", "111111", "000000",
+        "iloveyou", "admin", "admin123", "letmein", "welcome", "monkey",
+        "dragon", "football", "futbol", "gamezone", "teamo", "123123"
+      ],
+      pbkdf2: {
+        iterations: 210000,    // Más iteraciones = más lento de atacar (y de verificar).
+        hash: "SHA-256",
+        bits: 256              // Longitud de la clave derivada.
+      }
+    },
+
+    // Duración de las sesiones (inactividad + vida máxima).
+    session: {
+      idleMinutes: 30,          // Sin actividad durante este tiempo → caduca.
+      maxHours: 12,             // Vida máxima aunque haya actividad.
+      rememberIdleDays: 14,     // Igual, con “Recordarme” marcado.
+      rememberMaxDays: 30
+    },
+
+    // Intentos fallidos (login / reset) por cuenta y por navegador.
+    lockout: {
+      freeAttempts: 3,          // Fallos sin espera.
+      baseDelaySeconds: 2,      // Espera tras el primer fallo “de pago” (se duplica en cada uno).
+      maxDelaySeconds: 300,     // Tope de la espera.
+      lockAfter: 8,             // Fallos seguidos que bloquean temporalmente.
+      lockMinutes: 15,          // Duración del bloqueo.
+      resetAfterMinutes: 60     // Sin fallos durante este tiempo → el contador vuelve a 0.
+    },
+
+    // Verificación en dos pasos (TOTP, RFC 6238).
+    twoFactor: {
+      issuer: "GameZone",       // Nombre que ve el usuario en su app de autenticación.
+      requireForAdmins: true,   // Los admins no entran al panel sin 2FA activado.
+      digits: 6,
+      period: 30,               // Segundos por código.
+      window: 1,                // Códigos vecinos aceptados (desfase de reloj).
+      backupCodes: 10,          // Códigos de respaldo de un solo uso.
+      challengeMinutes: 5       // Tiempo para escribir el código tras la contraseña.
+    },
+
+    // Correo saliente: "outbox" (se guarda en Store y se ve en el panel admin)
+    // o "http" (POST JSON a un endpoint compatible con un relay SMTP).
+    mail: {
+      transport: "outbox",
+      from: "GameZone <no-reply@gamezone.local>",
+      http: {
+        endpoint: "/api/mail",      // Recibe { from, to, subject, text }.
+        headers: {}
+      }
+    },
+
+    // Bandeja de soporte (mensajes de contacto).
+    support: {
+      transport: null           // Transporte de las respuestas (null = el de CONFIG.mail).
+    },
+
+    // Enlaces de un solo uso enviados por email.
+    tokens: {
+      verifyHours: 48,          // Validez del enlace de verificación de email.
+      resetMinutes: 30          // Validez del enlace para restablecer contraseña.
+    },
+
+    // Centro de notificaciones (campana del menú).
+    notifications: {
+      maxPerUser: 50,           // Las más antiguas se descartan.
+      toastsUnread: false       // Los avisos emergentes se guardan como ya leídos.
+    },
+
+    // Registro de auditoría (los más antiguos se descartan al pasar del máximo).
+    audit: {
+      maxEntries: 2000
+    },
+
+    // Comentarios: respuestas en hilo.
+    comments: {
+      maxDepth: 3,              // Niveles de respuesta permitidos (0 = sin respuestas).
+      editPolicy: "moderate",   // Edición de un aprobado por quien no publica directo:
+                                // "moderate" vuelve a pendiente; "keep" sigue publicado.
+      reportThreshold: 3        // Reportes de usuarios distintos para retirarlo a revisión.
+    },
+
+    // Filtro antispam de comentarios y mensajes de contacto.
+    // Cada regla que salta suma su peso; con score >= threshold se aplica action.
+    spam: {
+      enabled: true,
+      threshold: 5,
+      action: "quarantine",     // "quarantine": a revisión aparte; "reject": se rechaza (los mensajes no se envían).
+      trustAfterApproved: 3,    // Comentarios aprobados (y ninguno rechazado) para ser “de confianza”:
+                                // por debajo del umbral se publican sin revisión.
+      rules: {
+        blocklist: {
+          weight: 5,
+          words: [
+            "viagra", "casino", "apuestas online", "gana dinero", "dinero fácil", "criptomonedas gratis",
+            "idiota", "imbécil", "gilipollas", "subnormal", "mierda", "puta", "cabrón"
+          ]
+        },
+        links: { weight: 3, max: 1 },                           // Más de `max` enlaces.
+        repeatedChars: { weight: 2, run: 6 },                   // Mismo carácter `run` veces seguidas.
+        caps: { weight: 2, ratio: 0.7, minLetters: 12 },        // Proporción de MAYÚSCULAS.
+        duplicate: { weight: 4, hours: 24 },                    // Mismo texto ya enviado (por cualquiera).
+        frequency: { weight: 3, max: 3, minutes: 5 }            // Envíos del mismo autor en la ventana.
+      }
+    },
+
+    // Baja de una cuenta (la hace el propio usuario o un admin).
+    accountDeletion: {
+      comments: "anonymize"     // "anonymize": los aprobados quedan como “Usuario eliminado”; "delete": se borran.
     },
 
     // Ajustes de mini‑juegos.
@@ -93,33 +238,199 @@ IMPORTANTE:
   // Limita un número a un rango.
   const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
 
+  // Recorta un texto largo (para avisos y listados).
+  const shorten = (text, max = 60) => {
+    const clean = String(text || "").replace(/\s+/g, " ").trim();
+    return clean.length > max ? `${clean.slice(0, max)}…` : clean;
+  };
+
   /* ==========================================================================
-     3) STORAGE (localStorage con prefijo)
+     3) STORAGE (drivers intercambiables + caché en memoria)
+     - Los drivers son asíncronos (localStorage, IndexedDB o REST).
+     - Store.init() carga todo en memoria al arrancar; a partir de ahí
+       get() es síncrono y cada escritura se envía al driver en orden.
   ========================================================================== */
   const Keys = {
     users: "users",
-    session: "session",
+    session: "session",           // Sesión de este navegador: { id, userId, createdAt }
+    sessions: "sessions",         // Registro de sesiones activas de todos los usuarios.
+    attempts: "attempts",         // Intentos fallidos: { "acct:email" | "client:id": {...} }
+    outbox: "outbox",             // Emails enviados (transporte local o copia de los HTTP).
+    tokens: "tokens",             // Tokens de un solo uso (verificación / reset), hasheados.
+    audit: "audit",               // Registro de acciones privilegiadas y de acceso.
+    notifications: "notifications", // Centro de notificaciones (por usuario).
     comments: "comments",
     messages: "messages",
     ui: "ui",
-    scores: "scores"
+    scores: "scores",
+    schema: "schema",             // { version, migratedAt }
+    schemaBackup: "schemaBackup"  // Copia previa a la última migración.
   };
 
-  // Construye la key real que va a localStorage.
+  // Construye la key real que va al driver.
   const k = (name) => `${CONFIG.storagePrefix}${name}`;
 
-  // API mínima para localStorage.
+  // Todos los drivers exponen la misma API asíncrona:
+  // get(key) → valor | undefined, set(key, value), remove(key), keys() → [key].
+  const StorageDrivers = {
+    local() {
+      return {
+        async get(key) {
+          const raw = localStorage.getItem(key);
+          return raw === null ? undefined : safeParse(raw, undefined);
+        },
+        async set(key, value) {
+          localStorage.setItem(key, JSON.stringify(value));
+        },
+        async remove(key) {
+          localStorage.removeItem(key);
+        },
+        async keys() {
+          return Object.keys(localStorage);
+        }
+      };
+    },
+
+    indexedDB() {
+      if (!("indexedDB" in window)) throw new Error("IndexedDB no está disponible.");
+
+      const { dbName, storeName } = CONFIG.storage.indexedDB;
+
+      const dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(dbName, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(storeName);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+
+      // Ejecuta una petición dentro de una transacción y resuelve con su resultado.
+      const run = async (mode, fn) => {
+        const db = await dbPromise;
+        return new Promise((resolve, reject) => {
+          const tx = db.transaction(storeName, mode);
+          const req = fn(tx.objectStore(storeName));
+          tx.oncomplete = () => resolve(req.result);
+          tx.onerror = () => reject(tx.error);
+          tx.onabort = () => reject(tx.error);
+        });
+      };
+
+      return {
+        get: (key) => run("readonly", (os) => os.get(key)),
+        set: (key, value) => run("readwrite", (os) => os.put(value, key)),
+        remove: (key) => run("readwrite", (os) => os.delete(key)),
+        keys: async () => (await run("readonly", (os) => os.getAllKeys())).map(String)
+      };
+    },
+
+    rest() {
+      const base = CONFIG.storage.rest.baseUrl.replace(/\/+$/, "");
+      const headers = { "Content-Type": "application/json", ...CONFIG.storage.rest.headers };
+      const url = (key) => `${base}/${encodeURIComponent(key)}`;
+
+      const request = async (method, target, body) => {
+        const res = await fetch(target, {
+          method,
+          headers,
+          body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        if (res.status === 404) return undefined;
+        if (!res.ok) throw new Error(`Error ${res.status} en ${method} ${target}`);
+        return res.status === 204 ? undefined : res.json();
+      };
+
+      return {
+        get: (key) => request("GET", url(key)),
+        set: (key, value) => request("PUT", url(key), value),
+        remove: (key) => request("DELETE", url(key)),
+        keys: async () => (await request("GET", base)) || []
+      };
+    }
+  };
+
+  // API de almacenamiento usada por toda la app.
   const Store = {
+    driver: null,
+    cache: new Map(),
+    pending: Promise.resolve(),
+    writeError: null,             // Primera escritura fallida desde el último flush().
+
+    // Elige el driver de CONFIG y carga en memoria todas las keys con prefijo.
+    // Si el driver elegido falla, lanza Error: sin caer a otro (los datos quedarían repartidos).
+    async init() {
+      const name = CONFIG.storage.driver;
+      const factory = StorageDrivers[name];
+      if (!factory) throw new Error(`Driver de almacenamiento desconocido: ${name}`);
+
+      try {
+        Store.driver = factory();
+        await Store.load();
+      } catch (err) {
+        throw new Error(`No se pudieron cargar los datos (${name}): ${err.message}`);
+      }
+    },
+
+    async load() {
+      Store.cache.clear();
+
+      const keys = (await Store.driver.keys()).filter((key) => key.startsWith(CONFIG.storagePrefix));
+      const values = await Promise.all(keys.map((key) => Store.driver.get(key)));
+
+      keys.forEach((key, i) => {
+        if (values[i] !== undefined) Store.cache.set(key.slice(CONFIG.storagePrefix.length), values[i]);
+      });
+    },
+
+    // Encola una escritura para que lleguen al driver en el mismo orden.
+    // Si falla, la cola sigue y el error queda guardado para el próximo flush().
+    enqueue(task) {
+      Store.pending = Store.pending
+        .then(task)
+        .catch((err) => {
+          Store.writeError = Store.writeError || err;
+        });
+      return Store.pending;
+    },
+
+    // Espera a que terminen las escrituras pendientes (ej: antes de cambiar de página).
+    // Lanza Error si alguna no llegó al driver.
+    async flush() {
+      await Store.pending;
+
+      const err = Store.writeError;
+      Store.writeError = null;
+      if (err) throw new Error(`No se pudieron guardar los datos: ${err.message}`);
+    },
+
     get(name, fallback) {
-      const raw = localStorage.getItem(k(name));
-      return raw ? safeParse(raw, fallback) : fallback;
+      if (!Store.cache.has(name)) return fallback;
+      // Copia para que nadie modifique la caché sin pasar por set().
+      return safeParse(JSON.stringify(Store.cache.get(name)), fallback);
     },
+
     set(name, value) {
-      localStorage.setItem(k(name), JSON.stringify(value));
+      Store.cache.set(name, value);
+      return Store.enqueue(async () => {
+        await Store.driver.set(k(name), value);
+        Sync.notify(name);
+      });
     },
+
     remove(name) {
-      localStorage.removeItem(k(name));
+      Store.cache.delete(name);
+      return Store.enqueue(async () => {
+        await Store.driver.remove(k(name));
+        Sync.notify(name);
+      });
+    },
+
+    // Vuelve a leer una key desde el driver (cuando otra pestaña la ha cambiado).
+    async reload(name) {
+      const value = await Store.driver.get(k(name));
+      if (value === undefined) Store.cache.delete(name);
+      else Store.cache.set(name, value);
     },
+
     update(name, fn, fallback) {
       const current = Store.get(name, fallback);
       const next = fn(current);
@@ -128,6 +439,199 @@ IMPORTANTE:
     }
   };
 
+  /* ==========================================================================
+     3.1) ESQUEMA + MIGRACIONES
+     - La versión del esquema se guarda junto a los datos (Keys.schema).
+     - Cada migración recibe una copia de las colecciones y devuelve la nueva.
+     - Antes de migrar se guarda una copia; si algo falla, se restaura.
+  ========================================================================== */
+
+  // Colecciones versionadas (las que toca una migración).
+  const SCHEMA_COLLECTIONS = [Keys.users, Keys.comments, Keys.messages, Keys.scores, Keys.ui];
+
+  // Registro ordenado de migraciones. Para añadir una: versión siguiente + up(data).
+  const MIGRATIONS = [
+    {
+      version: 1,
+      description: "Campos por defecto en usuarios, comentarios, mensajes y UI",
+      // Las fechas que no se guardaron en su día quedan en null (desconocidas), no se inventan.
+      up(data) {
+        return {
+          ...data,
+          users: (data.users || []).map((u) => ({
+            role: "user",
+            createdAt: null,
+            ...u
+          })),
+          comments: (data.comments || []).map((c) => ({
+            status: "pending",
+            approvedAt: null,
+            ...c
+          })),
+          messages: (data.messages || []).map((m) => ({
+            createdAt: null,
+            ...m
+          })),
+          scores: data.scores || {},
+          ui: { theme: "dark", ...(data.ui || {}) }
+        };
+      }
+    },
+    {
+      version: 2,
+      description: "Verificación de email: las cuentas existentes se dan por verificadas",
+      up(data) {
+        return {
+          ...data,
+          users: (data.users || []).map((u) =>
+            "emailVerifiedAt" in u ? u : { ...u, emailVerifiedAt: u.createdAt || nowISO() }
+          )
+        };
+      }
+    },
+    {
+      version: 3,
+      description: "Récords y comentarios huérfanos de usuarios ya borrados",
+      up(data) {
+        const users = data.users || [];
+        if (users.length === 0) return data;
+
+        const ids = new Set(users.map((u) => u.id));
+        const orphan = (c) => c.authorId && !ids.has(c.authorId);
+        const keep = CONFIG.accountDeletion.comments === "anonymize";
+
+        return {
+          ...data,
+          comments: (data.comments || [])
+            .filter((c) => !orphan(c) || (keep && c.status === "approved"))
+            .map((c) => (orphan(c) ? { ...c, authorId: null, authorName: "Usuario eliminado" } : c)),
+          scores: Object.fromEntries(Object.entries(data.scores || {}).filter(([id]) => ids.has(id)))
+        };
+      }
+    },
+    {
+      version: 4,
+      description: "Respuestas en hilo: los comentarios existentes son de primer nivel",
+      up(data) {
+        return {
+          ...data,
+          comments: (data.comments || []).map((c) => ({ parentId: null, ...c }))
+        };
+      }
+    },
+    {
+      version: 5,
+      description: "Bandeja de soporte: estado, asignación, notas y respuestas en los mensajes",
+      up(data) {
+        return {
+          ...data,
+          messages: (data.messages || []).map((m) => ({
+            status: "new",
+            assigneeId: null,
+            notes: [],
+            replies: [],
+            ...m
+          }))
+        };
+      }
+    },
+    {
+      version: 6,
+      description: "Caducidad de contraseñas: las cuentas sin fecha de cambio empiezan a contar ahora",
+      // No se sabe cuándo se cambió la contraseña: passwordChangedAt sigue vacío y se
+      // guarda aparte desde cuándo cuenta la caducidad (si no, caducarían todas de golpe).
+      up(data) {
+        return {
+          ...data,
+          users: (data.users || []).map((u) =>
+            u.passwordChangedAt || u.passwordClockAt ? u : { ...u, passwordClockAt: nowISO() }
+          )
+        };
+      }
+    },
+    {
+      version: 7,
+      description: "Mensajes de contacto: se asocian a la cuenta verificada con ese email",
+      up(data) {
+        const owner = new Map(
+          (data.users || []).filter((u) => u.emailVerifiedAt).map((u) => [normalizeEmail(u.email), u.id])
+        );
+        return {
+          ...data,
+          messages: (data.messages || []).map((m) =>
+            m.userId ? m : { ...m, userId: owner.get(normalizeEmail(m.email)) || null }
+          )
+        };
+      }
+    }
+  ];
+
+  const Migrations = {
+    currentVersion() {
+      return Store.get(Keys.schema, { version: 0 }).version;
+    },
+
+    snapshot() {
+      return SCHEMA_COLLECTIONS.reduce((acc, name) => {
+        acc[name] = Store.get(name, undefined);
+        return acc;
+      }, {});
+    },
+
+    write(data) {
+      SCHEMA_COLLECTIONS.forEach((name) => {
+        if (data[name] === undefined) Store.remove(name);
+        else Store.set(name, data[name]);
+      });
+    },
+
+    // Aplica las migraciones pendientes en orden.
+    // Si una falla, se restauran los datos de antes y se lanza Error.
+    async run() {
+      const from = Migrations.currentVersion();
+      if (from >= Migrations.latestVersion()) return;
+
+      const before = Migrations.snapshot();
+      Store.set(Keys.schemaBackup, { version: from, createdAt: nowISO(), data: before });
+
+      let result;
+      try {
+        result = await Migrations.apply(before, from);
+      } catch (err) {
+        Migrations.write(before);
+        Store.set(Keys.schema, { version: from, migratedAt: nowISO() });
+        await Store.flush();
+        throw new Error(`No se pudieron actualizar los datos (${err.message}). Se han restaurado los de la versión ${from}.`);
+      }
+
+      Migrations.write(result.data);
+      Store.set(Keys.schema, { version: result.version, migratedAt: nowISO() });
+      await Store.flush();
+    },
+
+    // Migra en memoria una copia de los datos desde la versión `from`.
+    // No toca Store (también se usa para importar copias antiguas).
+    async apply(data, from) {
+      let next = safeParse(JSON.stringify(data), {});
+      let version = from;
+
+      const pending = MIGRATIONS
+        .filter((m) => m.version > from)
+        .sort((a, b) => a.version - b.version);
+
+      for (const m of pending) {
+        next = await m.up(next);
+        version = m.version;
+      }
+
+      return { data: next, version };
+    },
+
+    latestVersion() {
+      return MIGRATIONS.reduce((max, m) => Math.max(max, m.version), 0);
+    }
+  };
+
   /* ==========================================================================
      4) CRIPTO (HASH)
      - Se usa para no guardar contraseñas/frases en texto plano.
@@ -170,9 +674,166 @@ IMPORTANTE:
     return bufferToHex(hash);
   };
 
-  // Hash con salt: SHA256(salt + ":" + secret).
+  // Hash con salt: SHA256(salt + ":" + secret). Solo para verificar registros antiguos.
   const saltedHash = async (secret, salt) => sha256(`${salt}:${secret}`);
 
+  // ¿Existe PBKDF2 en WebCrypto?
+  const HAS_PBKDF2 = HAS_WEBCRYPTO && !!(crypto.subtle.importKey && crypto.subtle.deriveBits);
+
+  // PBKDF2(secret, salt) → hex.
+  const pbkdf2 = async (secret, salt, { iterations, hash, bits }) => {
+    const enc = new TextEncoder();
+    const key = await crypto.subtle.importKey("raw", enc.encode(secret), "PBKDF2", false, ["deriveBits"]);
+    const out = await crypto.subtle.deriveBits(
+      { name: "PBKDF2", salt: enc.encode(salt), iterations, hash },
+      key,
+      bits
+    );
+    return bufferToHex(out);
+  };
+
+  // Compara dos hashes sin cortar en el primer carácter distinto.
+  const safeEqual = (a, b) => {
+    const x = String(a || "");
+    const y = String(b || "");
+    let diff = x.length ^ y.length;
+    for (let i = 0; i < Math.max(x.length, y.length); i++) diff |= x.charCodeAt(i) ^ y.charCodeAt(i);
+    return diff === 0;
+  };
+
+  // Hash de secretos (contraseñas y frases de recuperación).
+  // Cada registro guarda { salt, hash, algo } para poder verificar hashes
+  // antiguos y actualizarlos cuando cambien los parámetros.
+  const Secrets = {
+    // Algoritmo y parámetros que se usan para hashes nuevos.
+    currentAlgo() {
+      if (!HAS_PBKDF2) return { name: HAS_WEBCRYPTO ? "sha256" : "weak" };
+      const { iterations, hash, bits } = CONFIG.password.pbkdf2;
+      return { name: "pbkdf2", iterations, hash, bits };
+    },
+
+    // Registros sin `algo` son de antes de PBKDF2 (SHA-256 simple o DJB2).
+    algoOf(algo, hash) {
+      if (algo) return algo;
+      return { name: String(hash || "").length === 8 ? "weak" : "sha256" };
+    },
+
+    async compute(secret, salt, algo) {
+      if (algo.name === "pbkdf2") return pbkdf2(secret, salt, algo);
+      if (algo.name === "weak") return weakHash(`${salt}:${secret}`);
+      return saltedHash(secret, salt);
+    },
+
+    async hash(secret) {
+      const salt = randomHex(16);
+      const algo = Secrets.currentAlgo();
+      return { salt, hash: await Secrets.compute(secret, salt, algo), algo };
+    },
+
+    async verify(secret, { salt, hash, algo }) {
+      const computed = await Secrets.compute(secret, salt, Secrets.algoOf(algo, hash));
+      return safeEqual(computed, hash);
+    },
+
+    // ¿Hay que volver a hashear con los parámetros actuales?
+    needsRehash(algo, hash) {
+      const a = Secrets.algoOf(algo, hash);
+      const c = Secrets.currentAlgo();
+      return a.name !== c.name || a.iterations !== c.iterations || a.hash !== c.hash || a.bits !== c.bits;
+    }
+  };
+
+  /* ==========================================================================
+     4.1) POLÍTICA DE CONTRASEÑAS
+     - Las reglas salen de CONFIG.password.
+     - evaluate() alimenta el medidor en vivo; assert() la aplica en Auth.
+  ========================================================================== */
+  const Password = {
+    // Reglas activas con su texto para la checklist.
+    rules({ name, email } = {}) {
+      const p = CONFIG.password;
+      const rules = [
+        {
+          id: "length",
+          label: `Al menos ${p.minLen} caracteres`,
+          error: `La contraseña debe tener al menos ${p.minLen} caracteres.`,
+          test: (pw) => pw.length >= p.minLen
+        }
+      ];
+
+      // what: "una minúscula", "un número"…
+      const classRule = (id, what, re) => ({
+        id,
+        label: what[0].toUpperCase() + what.slice(1),
+        error: `La contraseña debe incluir ${what}.`,
+        test: (pw) => re.test(pw)
+      });
+
+      if (p.classes.lower) rules.push(classRule("lower", "una minúscula", /[a-zñ]/));
+      if (p.classes.upper) rules.push(classRule("upper", "una mayúscula", /[A-ZÑ]/));
+      if (p.classes.digit) rules.push(classRule("digit", "un número", /\d/));
+      if (p.classes.symbol) rules.push(classRule("symbol", "un símbolo", /[^A-Za-z0-9ñÑ]/));
+
+      rules.push({
+        id: "common",
+        label: "No es una contraseña común",
+        error: "Esa contraseña es demasiado común. Elige otra.",
+        test: (pw) => !p.blocklist.includes(pw.toLowerCase())
+      });
+
+      if (p.forbidPersonal) {
+        // Partes del nombre/email de 3+ letras que no pueden aparecer.
+        const parts = [
+          ...String(name || "").toLowerCase().split(/\s+/),
+          ...normalizeEmail(email).split("@")[0].split(/[._+-]/)
+        ].filter((x) => x.length >= 3);
+
+        rules.push({
+          id: "personal",
+          label: "No contiene tu nombre ni tu email",
+          error: "La contraseña no puede contener tu nombre ni tu email.",
+          test: (pw) => !parts.some((x) => pw.toLowerCase().includes(x))
+        });
+      }
+
+      return rules;
+    },
+
+    // Resultado para la UI: checklist + puntuación 0–4.
+    evaluate(password, personal) {
+      const pw = String(password || "");
+      const checks = Password.rules(personal).map((r) => ({ id: r.id, label: r.label, error: r.error, ok: r.test(pw) }));
+      const ok = checks.every((c) => c.ok);
+
+      // Puntuación orientativa: longitud + variedad, penalizando repeticiones.
+      let score = 0;
+      if (pw.length >= CONFIG.password.minLen) score++;
+      if (pw.length >= CONFIG.password.minLen + 4) score++;
+      const variety = [/[a-zñ]/, /[A-ZÑ]/, /\d/, /[^A-Za-z0-9ñÑ]/].filter((re) => re.test(pw)).length;
+      if (variety >= 3) score++;
+      if (variety === 4) score++;
+      if (/(.)\1{2,}/.test(pw)) score--;
+      if (!ok) score = Math.min(score, 1);
+      score = clamp(score, 0, 4);
+
+      const labels = ["Muy débil", "Débil", "Aceptable", "Buena", "Fuerte"];
+      return { ok, checks, score, label: pw ? labels[score] : "" };
+    },
+
+    // Lanza Error con la primera regla que no se cumple.
+    assert(password, personal) {
+      const failed = Password.evaluate(password, personal).checks.find((c) => !c.ok);
+      if (failed) throw new Error(failed.error);
+    },
+
+    isExpired(user, now = Date.now()) {
+      const days = CONFIG.password.maxAgeDays;
+      if (!days) return false;
+      const since = Date.parse(user.passwordChangedAt || user.passwordClockAt);
+      return Number.isFinite(since) && now - since > days * DAY;
+    }
+  };
+
   /* ==========================================================================
      5) AUTH (REGISTRO / LOGIN / ROLES / RESET)
   ========================================================================== */
@@ -194,19 +855,64 @@ IMPORTANTE:
       return Auth.listUsers().find((u) => u.id === userId) || null;
     },
 
+    updateUser(userId, patch) {
+      const users = Auth.listUsers().map((u) => (u.id === userId ? { ...u, ...patch } : u));
+      Auth.saveUsers(users);
+      return users.find((u) => u.id === userId) || null;
+    },
+
+    // Campos del usuario para una contraseña nueva.
+    async passwordFields(password) {
+      const { salt, hash, algo } = await Secrets.hash(password);
+      return { salt, passHash: hash, passAlgo: algo };
+    },
+
+    // Campos del usuario para una frase de recuperación nueva.
+    async recoveryFields(recovery) {
+      const { salt, hash, algo } = await Secrets.hash(recovery);
+      return { recoverySalt: salt, recoveryHash: hash, recoveryAlgo: algo };
+    },
+
     currentSession() {
       return Store.get(Keys.session, null);
     },
 
-    currentUser() {
+    // Estado de la sesión de este navegador, sin efectos: { user, record, problem }.
+    // problem: null (válida) | "deleted" | "suspended" | "expired".
+    sessionState() {
       const session = Auth.currentSession();
-      if (!session) return null;
+      if (!session) return { user: null, record: null, problem: null };
 
       const user = Auth.findById(session.userId);
-      if (!user) {
-        Auth.logout();
+      if (!user) return { user: null, record: null, problem: "deleted" };
+
+      // Suspendida (antes que la caducidad: suspender también revoca sus sesiones).
+      if (Suspensions.active(user)) return { user: null, record: null, problem: "suspended" };
+
+      // Sesión caducada, revocada o de antes de que existieran IDs de sesión.
+      const record = Sessions.find(session.id);
+      if (!record || Sessions.isExpired(record)) return { user: null, record: null, problem: "expired" };
+
+      return { user, record, problem: null };
+    },
+
+    // Solo lectura: se llama desde cada render.
+    currentUser() {
+      return Auth.sessionState().user;
+    },
+
+    // Aplica el estado de la sesión: cierra la que ya no vale (con aviso) o marca actividad.
+    // Se llama al cargar, cada minuto, con actividad del usuario y cuando otra pestaña cambia algo.
+    checkSession() {
+      const { user, record, problem } = Auth.sessionState();
+
+      if (problem) {
+        Auth.logout(problem);
+        if (problem !== "deleted") UI.sessionExpired(problem);
         return null;
       }
+
+      if (record) Sessions.touch(record);
       return user;
     },
 
@@ -217,21 +923,15 @@ IMPORTANTE:
       const exists = users.some((u) => u.email === adminEmail);
       if (exists) return;
 
-      const salt = randomHex(16);
-      const recoverySalt = randomHex(16);
-
-      const passHash = await saltedHash(CONFIG.defaultAdmin.password, salt);
-      const recoveryHash = await saltedHash(CONFIG.defaultAdmin.recovery, recoverySalt);
-
       const admin = {
         id: uid("usr"),
         name: CONFIG.defaultAdmin.name,
         email: adminEmail,
         role: "admin",
-        salt,
-        passHash,
-        recoverySalt,
-        recoveryHash,
+        ...(await Auth.passwordFields(CONFIG.defaultAdmin.password)),
+        ...(await Auth.recoveryFields(CONFIG.defaultAdmin.recovery)),
+        passwordChangedAt: nowISO(),
+        emailVerifiedAt: nowISO(),
         createdAt: nowISO()
       };
 
@@ -245,1611 +945,5957 @@ IMPORTANTE:
 
       if (cleanName.length < 2) throw new Error("Escribe un nombre válido.");
       if (!isValidEmail(cleanEmail)) throw new Error("El email no parece válido.");
-      if (String(password || "").length < CONFIG.password.minLen) {
-        throw new Error(`La contraseña debe tener al menos ${CONFIG.password.minLen} caracteres.`);
-      }
+      Password.assert(password, { name: cleanName, email: cleanEmail });
       if (cleanRecovery.length < 4) throw new Error("La frase de recuperación es demasiado corta.");
       if (Auth.findByEmail(cleanEmail)) throw new Error("Ese email ya está registrado.");
 
-      const salt = randomHex(16);
-      const recoverySalt = randomHex(16);
-
-      const passHash = await saltedHash(password, salt);
-      const recoveryHash = await saltedHash(cleanRecovery, recoverySalt);
-
       const user = {
         id: uid("usr"),
         name: cleanName,
         email: cleanEmail,
         role: "user",
-        salt,
-        passHash,
-        recoverySalt,
-        recoveryHash,
+        ...(await Auth.passwordFields(password)),
+        ...(await Auth.recoveryFields(cleanRecovery)),
+        passwordChangedAt: nowISO(),
+        emailVerifiedAt: null,
         createdAt: nowISO()
       };
 
       Auth.saveUsers([user, ...Auth.listUsers()]);
+      await Auth.sendVerification(user);
+      return user;
+    },
+
+    // Email con el enlace que activa la cuenta.
+    async sendVerification(user) {
+      const token = await Tokens.issue("verify", user.id, CONFIG.tokens.verifyHours * HOUR);
+      const link = Mail.link("login.html", { verify: token });
+
+      await Mail.send({
+        to: user.email,
+        subject: `Confirma tu email en ${CONFIG.appName}`,
+        text: `Hola ${user.name}:\n\n` +
+          `Para activar tu cuenta, abre este enlace:\n${link}\n\n` +
+          `Caduca en ${CONFIG.tokens.verifyHours} horas. Si no te has registrado, ignora este mensaje.`
+      }, { secrets: [token] });
+    },
+
+    // Cambio de email: el enlace va a la dirección nueva y el token recuerda cuál es.
+    async sendEmailChange(user) {
+      const token = await Tokens.issue("verify", user.id, CONFIG.tokens.verifyHours * HOUR, { email: user.pendingEmail });
+      const link = Mail.link("login.html", { verify: token });
+
+      await Mail.send({
+        to: user.pendingEmail,
+        subject: `Confirma tu nuevo email en ${CONFIG.appName}`,
+        text: `Hola ${user.name}:\n\n` +
+          `Para usar esta dirección en tu cuenta, abre este enlace:\n${link}\n\n` +
+          `Hasta entonces seguirás entrando con ${user.email}. ` +
+          `Caduca en ${CONFIG.tokens.verifyHours} horas. Si no lo has pedido tú, ignora este mensaje.`
+      }, { secrets: [token] });
+    },
+
+    // Reenvío desde el login. No revela si el email existe.
+    async resendVerification(email) {
+      const user = Auth.findByEmail(email);
+      if (user && !user.emailVerifiedAt) await Auth.sendVerification(user);
+    },
+
+    async verifyEmail(token) {
+      const record = await Tokens.check("verify", token);
+      const user = Auth.findById(record.userId);
+      if (!user) throw new Error("La cuenta ya no existe.");
+
+      // Enlace de un cambio de email: solo ahora pasa a ser el email de la cuenta.
+      if (record.email) {
+        if (record.email !== user.pendingEmail) throw new Error("Ese cambio de email ya no está pendiente.");
+        if (Auth.findByEmail(record.email)) throw new Error("Ese email ya está registrado en otra cuenta.");
+
+        Tokens.markUsed(record);
+        return Auth.updateUser(user.id, { email: record.email, pendingEmail: null, emailVerifiedAt: nowISO() });
+      }
+
+      Tokens.markUsed(record);
+      if (!user.emailVerifiedAt) Auth.updateUser(user.id, { emailVerifiedAt: nowISO() });
       return user;
     },
 
-    async login(email, password) {
+    async login(email, password, { remember = false } = {}) {
       const cleanEmail = normalizeEmail(email);
+      Throttle.check(cleanEmail);
+
       const user = Auth.findByEmail(cleanEmail);
+      const ok = !!user &&
+        await Secrets.verify(password, { salt: user.salt, hash: user.passHash, algo: user.passAlgo });
+
+      if (!ok) {
+        Throttle.fail(cleanEmail);
+        Audit.log("auth.loginFailed", { actor: null, target: { type: "email", id: cleanEmail, label: cleanEmail } });
+        throw new Error("Email o contraseña incorrectos.");
+      }
+
+      Throttle.clear(cleanEmail);
+
+      const suspension = Suspensions.active(user);
+      if (suspension) throw new Error(Suspensions.describe(suspension));
+
+      // Hash antiguo (o con otros parámetros) → se actualiza ahora que conocemos la contraseña.
+      if (Secrets.needsRehash(user.passAlgo, user.passHash)) {
+        Auth.updateUser(user.id, await Auth.passwordFields(password));
+      }
+
+      if (!user.emailVerifiedAt) {
+        const err = new Error("Confirma tu email antes de entrar: revisa el enlace que te enviamos.");
+        err.code = "unverified";
+        throw err;
+      }
+
+      if (Password.isExpired(user)) {
+        throw new Error("Tu contraseña ha caducado. Crea una nueva desde «¿Olvidaste la contraseña?».");
+      }
+
+      // Con 2FA la sesión no se crea hasta verificar el código (segundo paso).
+      if (TwoFactor.isEnabled(user)) {
+        return { user, challenge: TwoFactor.createChallenge(user.id, remember) };
+      }
+
+      Auth.startSession(user, remember);
+      return { user, challenge: null };
+    },
+
+    // Segundo paso del login: código TOTP o código de respaldo.
+    async completeTwoFactor(challengeId, code) {
+      const challenge = TwoFactor.takeChallenge(challengeId);
+      if (!challenge) throw new Error("El tiempo para introducir el código ha caducado. Vuelve a entrar.");
+
+      const user = Auth.findById(challenge.userId);
+      if (!user) throw new Error("La cuenta ya no existe.");
+
+      Throttle.check(user.email);
 
-      if (!user) throw new Error("Email o contraseña incorrectos.");
+      const ok = await TwoFactor.verifyLogin(user, code);
+      if (!ok) {
+        Throttle.fail(user.email);
+        Audit.log("auth.loginFailed", { actor: null, target: Audit.userTarget(user), meta: { step: "2fa" } });
+        TwoFactor.challenges.set(challenge.id, challenge);
+        throw new Error("El código no es correcto.");
+      }
+
+      Throttle.clear(user.email);
 
-      const hash = await saltedHash(password, user.salt);
-      if (hash !== user.passHash) throw new Error("Email o contraseña incorrectos.");
+      const suspension = Suspensions.active(user);
+      if (suspension) throw new Error(Suspensions.describe(suspension));
 
-      Store.set(Keys.session, { userId: user.id, createdAt: nowISO() });
+      Auth.startSession(user, challenge.remember);
       return user;
     },
 
-    logout() {
+    startSession(user, remember) {
+      const record = Sessions.create(user.id, remember);
+      Store.set(Keys.session, { id: record.id, userId: user.id, createdAt: record.createdAt });
+      Audit.log("auth.login", { actor: user, meta: { sessionId: record.id, remember: !!remember } });
+    },
+
+    // reason: "manual" | "expired" | "deleted" | "suspended" (solo para la auditoría).
+    logout(reason = "manual") {
+      const session = Auth.currentSession();
+      if (session) Audit.log("auth.logout", { meta: { sessionId: session.id || null, reason } });
+      if (session?.id) Sessions.revoke(session.id);
       Store.remove(Keys.session);
     },
 
     async resetPassword({ email, recovery, newPassword }) {
       const cleanEmail = normalizeEmail(email);
+      Throttle.check(cleanEmail);
+
       const user = Auth.findByEmail(cleanEmail);
 
-      if (!user) throw new Error("No existe una cuenta con ese email.");
+      if (!user) {
+        Throttle.fail(cleanEmail);
+        throw new Error("No existe una cuenta con ese email.");
+      }
 
       const cleanRecovery = String(recovery || "").trim();
-      const recoveryHash = await saltedHash(cleanRecovery, user.recoverySalt);
-
-      if (recoveryHash !== user.recoveryHash) throw new Error("La frase de recuperación no coincide.");
+      const ok = await Secrets.verify(cleanRecovery, {
+        salt: user.recoverySalt,
+        hash: user.recoveryHash,
+        algo: user.recoveryAlgo
+      });
 
-      if (String(newPassword || "").length < CONFIG.password.minLen) {
-        throw new Error(`La nueva contraseña debe tener al menos ${CONFIG.password.minLen} caracteres.`);
+      if (!ok) {
+        Throttle.fail(cleanEmail);
+        throw new Error("La frase de recuperación no coincide.");
       }
 
-      // Cambiamos salt + hash de contraseña.
-      const newSalt = randomHex(16);
-      const newHash = await saltedHash(newPassword, newSalt);
+      Throttle.clear(cleanEmail);
 
-      const users = Auth.listUsers().map((u) =>
-        u.id === user.id ? { ...u, salt: newSalt, passHash: newHash } : u
-      );
+      Password.assert(newPassword, user);
 
-      Auth.saveUsers(users);
-      return true;
-    }
-  };
+      // Cambiamos salt + hash de contraseña (y actualizamos la frase si su hash es antiguo).
+      const patch = { ...(await Auth.passwordFields(newPassword)), passwordChangedAt: nowISO() };
+      if (Secrets.needsRehash(user.recoveryAlgo, user.recoveryHash)) {
+        Object.assign(patch, await Auth.recoveryFields(cleanRecovery));
+      }
 
-  /* ==========================================================================
-     6) COMENTARIOS (ENVÍO + MODERACIÓN)
-  ========================================================================== */
-  const Comments = {
-    listAll() {
-      return Store.get(Keys.comments, []);
+      Auth.updateUser(user.id, patch);
+      Audit.log("auth.reset", { actor: user, target: Audit.userTarget(user), meta: { method: "frase" } });
+      return true;
     },
 
-    listPublic() {
-      return Comments
+    // Alternativa a la frase: enlace temporal de un solo uso por email.
+    // No revela si el email existe.
+    async requestPasswordReset(email) {
+      const cleanEmail = normalizeEmail(email);
+      if (!isValidEmail(cleanEmail)) throw new Error("El email no parece válido.");
+
+      const user = Auth.findByEmail(cleanEmail);
+      if (!user) return;
+
+      const token = await Tokens.issue("reset", user.id, CONFIG.tokens.resetMinutes * MINUTE);
+      const link = Mail.link("reset.html", { token });
+
+      await Mail.send({
+        to: user.email,
+        subject: `Restablecer tu contraseña de ${CONFIG.appName}`,
+        text: `Hola ${user.name}:\n\n` +
+          `Para crear una contraseña nueva, abre este enlace:\n${link}\n\n` +
+          `Caduca en ${CONFIG.tokens.resetMinutes} minutos y solo se puede usar una vez. ` +
+          `Si no lo has pedido tú, ignora este mensaje.`
+      }, { secrets: [token] });
+    },
+
+    async resetPasswordWithToken({ token, newPassword }) {
+      const record = await Tokens.check("reset", token);
+      const user = Auth.findById(record.userId);
+      if (!user) throw new Error("La cuenta ya no existe.");
+
+      Password.assert(newPassword, user);
+
+      Tokens.markUsed(record);
+      Throttle.clear(user.email);
+
+      // El enlace llegó a su email: de paso, queda verificado.
+      Auth.updateUser(user.id, {
+        ...(await Auth.passwordFields(newPassword)),
+        passwordChangedAt: nowISO(),
+        emailVerifiedAt: user.emailVerifiedAt || nowISO()
+      });
+      Audit.log("auth.reset", { actor: user, target: Audit.userTarget(user), meta: { method: "enlace" } });
+      return true;
+    },
+
+    // Reautenticación antes de un cambio sensible del perfil (cuenta como intento).
+    async confirmPassword(user, password) {
+      Throttle.check(user.email);
+
+      const ok = await Secrets.verify(password, { salt: user.salt, hash: user.passHash, algo: user.passAlgo });
+      if (!ok) {
+        Throttle.fail(user.email);
+        throw new Error("La contraseña actual no es correcta.");
+      }
+
+      Throttle.clear(user.email);
+    },
+
+    // Nombre y email. Cambiar el email pide la contraseña; el nuevo queda en pendingEmail
+    // (y se sigue entrando con el de antes) hasta que se abre el enlace que le llega.
+    async updateProfile(userId, { name, email, currentPassword }) {
+      const user = Auth.findById(userId);
+      if (!user) throw new Error("La cuenta ya no existe.");
+
+      const cleanName = String(name || "").trim();
+      const cleanEmail = normalizeEmail(email);
+
+      if (cleanName.length < 2) throw new Error("Escribe un nombre válido.");
+      if (!isValidEmail(cleanEmail)) throw new Error("El email no parece válido.");
+
+      const patch = {};
+      if (cleanName !== user.name) patch.name = cleanName;
+
+      if (cleanEmail !== user.email) {
+        if (Auth.findByEmail(cleanEmail)) throw new Error("Ese email ya está registrado.");
+        await Auth.confirmPassword(user, currentPassword);
+        patch.pendingEmail = cleanEmail;
+      } else if (user.pendingEmail) {
+        // Vuelve a dejar el de siempre: se anula el cambio pendiente.
+        patch.pendingEmail = null;
+      }
+
+      if (Object.keys(patch).length === 0) return { user, emailChanged: false };
+
+      const updated = Auth.updateUser(user.id, patch);
+      if (patch.name) Comments.renameAuthor(user.id, patch.name);
+      if (patch.pendingEmail) await Auth.sendEmailChange(updated);
+
+      return { user: updated, emailChanged: !!patch.pendingEmail };
+    },
+
+    async changePassword(userId, { currentPassword, newPassword }) {
+      const user = Auth.findById(userId);
+      if (!user) throw new Error("La cuenta ya no existe.");
+
+      await Auth.confirmPassword(user, currentPassword);
+      Password.assert(newPassword, user);
+
+      Auth.updateUser(user.id, { ...(await Auth.passwordFields(newPassword)), passwordChangedAt: nowISO() });
+      return true;
+    },
+
+    async changeRecovery(userId, { currentPassword, recovery }) {
+      const user = Auth.findById(userId);
+      if (!user) throw new Error("La cuenta ya no existe.");
+
+      const cleanRecovery = String(recovery || "").trim();
+      if (cleanRecovery.length < 4) throw new Error("La frase de recuperación es demasiado corta.");
+
+      await Auth.confirmPassword(user, currentPassword);
+
+      Auth.updateUser(user.id, await Auth.recoveryFields(cleanRecovery));
+      return true;
+    }
+  };
+
+  /* ==========================================================================
+     5.1) SESIONES (CADUCIDAD + VARIAS SESIONES POR USUARIO)
+     - Cada login crea un registro con ID en Keys.sessions.
+     - Caduca por inactividad o por vida máxima (más largas con “Recordarme”).
+     - Revocar un registro cierra esa sesión allí donde esté abierta.
+  ========================================================================== */
+  const MINUTE = 60 * 1000;
+  const HOUR = 60 * MINUTE;
+  const DAY = 24 * HOUR;
+
+  const Sessions = {
+    listAll() {
+      return Store.get(Keys.sessions, []);
+    },
+
+    // Sesiones vigentes de un usuario (más recientes primero).
+    listForUser(userId) {
+      return Sessions
         .listAll()
-        .filter((c) => c.status === "approved")
-        .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+        .filter((s) => s.userId === userId && !Sessions.isExpired(s))
+        .sort((a, b) => (a.lastSeenAt < b.lastSeenAt ? 1 : -1));
     },
 
-    add({ author, text }) {
-      const cleanText = String(text || "").trim();
+    find(sessionId) {
+      if (!sessionId) return null;
+      return Sessions.listAll().find((s) => s.id === sessionId) || null;
+    },
 
-      const comment = {
-        id: uid("cmt"),
-        authorId: author.id,
-        authorName: author.name,
-        text: cleanText,
-        status: author.role === "admin" ? "approved" : "pending",
+    limits(record) {
+      const c = CONFIG.session;
+      return record.remember
+        ? { idle: c.rememberIdleDays * DAY, max: c.rememberMaxDays * DAY }
+        : { idle: c.idleMinutes * MINUTE, max: c.maxHours * HOUR };
+    },
+
+    isExpired(record, now = Date.now()) {
+      const { idle, max } = Sessions.limits(record);
+      return now - Date.parse(record.lastSeenAt) > idle || now - Date.parse(record.createdAt) > max;
+    },
+
+    create(userId, remember) {
+      const record = {
+        id: uid("ses"),
+        userId,
+        remember: !!remember,
         createdAt: nowISO(),
-        approvedAt: author.role === "admin" ? nowISO() : null
+        lastSeenAt: nowISO(),
+        userAgent: navigator.userAgent
       };
 
-      Store.update(Keys.comments, (all) => [comment, ...all], []);
-      return comment;
+      // De paso, limpiamos las caducadas.
+      Store.update(Keys.sessions, (all) => [record, ...all.filter((s) => !Sessions.isExpired(s))], []);
+      return record;
     },
 
-    approve(commentId) {
+    // Marca actividad (como mucho una escritura por minuto).
+    touch(record) {
+      if (Date.now() - Date.parse(record.lastSeenAt) < MINUTE) return;
       Store.update(
-        Keys.comments,
-        (all) =>
-          all.map((c) =>
-            c.id === commentId ? { ...c, status: "approved", approvedAt: nowISO() } : c
-          ),
+        Keys.sessions,
+        (all) => all.map((s) => (s.id === record.id ? { ...s, lastSeenAt: nowISO() } : s)),
         []
       );
     },
 
-    remove(commentId) {
-      Store.update(Keys.comments, (all) => all.filter((c) => c.id !== commentId), []);
+    revoke(sessionId) {
+      Store.update(Keys.sessions, (all) => all.filter((s) => s.id !== sessionId), []);
+    },
+
+    revokeOthers(userId, keepId) {
+      Store.update(Keys.sessions, (all) => all.filter((s) => s.userId !== userId || s.id === keepId), []);
+    },
+
+    // Texto corto para identificar el dispositivo.
+    describe(record) {
+      const ua = String(record.userAgent || "");
+      const browser = /Edg\//.test(ua) ? "Edge"
+        : /Firefox\//.test(ua) ? "Firefox"
+        : /Chrome\//.test(ua) ? "Chrome"
+        : /Safari\//.test(ua) ? "Safari"
+        : "Navegador";
+      const os = /Windows/.test(ua) ? "Windows"
+        : /Android/.test(ua) ? "Android"
+        : /iPhone|iPad/.test(ua) ? "iOS"
+        : /Mac OS X/.test(ua) ? "macOS"
+        : /Linux/.test(ua) ? "Linux"
+        : "";
+      return os ? `${browser} · ${os}` : browser;
     }
   };
 
   /* ==========================================================================
-     7) MENSAJES (FORMULARIO DE CONTACTO)
+     5.2) PROTECCIÓN CONTRA FUERZA BRUTA (LOGIN / RESET)
+     - Se cuentan los fallos por cuenta (email) y por navegador.
+     - Tras unos fallos gratis, cada intento exige esperar el doble.
+     - Con demasiados fallos seguidos, bloqueo temporal (un admin puede quitarlo).
   ========================================================================== */
-  const Messages = {
-    list() {
-      return Store.get(Keys.messages, []).sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+  const Throttle = {
+    // ID de este navegador. Va en localStorage aunque el driver sea otro:
+    // identifica al navegador, no a los datos.
+    clientId() {
+      const key = k("client");
+      let id = localStorage.getItem(key);
+      if (!id) {
+        id = uid("cli");
+        localStorage.setItem(key, id);
+      }
+      return id;
     },
 
-    add({ name, email, subject, body }) {
-      const msg = {
-        id: uid("msg"),
-        name: String(name || "").trim(),
-        email: normalizeEmail(email),
-        subject: String(subject || "").trim(),
-        body: String(body || "").trim(),
-        createdAt: nowISO()
-      };
+    keysFor(email) {
+      return [`acct:${normalizeEmail(email)}`, `client:${Throttle.clientId()}`];
+    },
 
-      Store.update(Keys.messages, (all) => [msg, ...all], []);
-      return msg;
-    }
-  };
+    all() {
+      return Store.get(Keys.attempts, {});
+    },
 
-  /* ==========================================================================
-     8) RÉCORDS (SCORES)
-     - Se guardan por usuario. Si no hay sesión, se puede jugar igualmente,
-       pero no se guarda el récord.
-  ========================================================================== */
-  const Scores = {
-    getAll() {
-      return Store.get(Keys.scores, {});
+    // Entrada vigente. Vuelven a 0 las que llevan mucho sin fallos y las de un bloqueo ya cumplido.
+    entry(key, now = Date.now()) {
+      const e = Throttle.all()[key];
+      if (!e) return null;
+      if (Throttle.isLockedEntry(e, now)) return e;
+      if (e.lockedUntil) return null;
+      if (now - Date.parse(e.lastAt) > CONFIG.lockout.resetAfterMinutes * MINUTE) return null;
+      return e;
     },
 
-    getUser(userId) {
-      const all = Scores.getAll();
-      return all[userId] || {};
+    isLockedEntry(e, now = Date.now()) {
+      return !!e?.lockedUntil && Date.parse(e.lockedUntil) > now;
     },
 
-    updateUser(userId, updater) {
-      return Store.update(
-        Keys.scores,
-        (all) => {
-          const current = all[userId] || {};
-          const next = updater(current);
-          return { ...all, [userId]: next };
-        },
-        {}
-      );
+    // Bloqueo de una cuenta (para el panel admin).
+    lockOf(email) {
+      const e = Throttle.entry(`acct:${normalizeEmail(email)}`);
+      return Throttle.isLockedEntry(e) ? e : null;
     },
 
-    // “Más alto es mejor” (ej: racha, puntos).
-    updateBestHigher(userId, gameId, key, value) {
-      let improved = false;
+    // Lanza Error si hay que esperar o si está bloqueado.
+    check(email) {
+      const now = Date.now();
 
-      Scores.updateUser(userId, (userScores) => {
-        const prev = userScores[gameId]?.[key];
+      Throttle.keysFor(email).forEach((key) => {
+        const e = Throttle.entry(key, now);
+        if (!e) return;
 
-        if (typeof prev !== "number" || value > prev) improved = true;
+        if (Throttle.isLockedEntry(e, now)) {
+          throw new Error(
+            `Demasiados intentos fallidos. Acceso bloqueado hasta las ${new Date(e.lockedUntil).toLocaleTimeString("es-ES", { timeStyle: "short" })}.`
+          );
+        }
 
-        return {
-          ...userScores,
-          [gameId]: {
-            ...(userScores[gameId] || {}),
-            [key]: typeof prev !== "number" ? value : Math.max(prev, value),
-            updatedAt: nowISO()
-          }
-        };
+        const wait = Math.ceil((Date.parse(e.nextAt) - now) / 1000);
+        if (wait > 0) throw new Error(`Demasiados intentos. Espera ${wait} s antes de volver a probar.`);
       });
-
-      return improved;
     },
 
-    // “Más bajo es mejor” (ej: ms, intentos, movimientos).
-    updateBestLower(userId, gameId, key, value) {
-      let improved = false;
-
-      Scores.updateUser(userId, (userScores) => {
-        const prev = userScores[gameId]?.[key];
+    fail(email) {
+      const c = CONFIG.lockout;
+      const now = Date.now();
 
-        if (typeof prev !== "number" || value < prev) improved = true;
+      Store.update(
+        Keys.attempts,
+        (all) => {
+          const next = { ...all };
+          const [acctKey, clientKey] = Throttle.keysFor(email);
+
+          [acctKey, clientKey].forEach((key) => {
+            const prev = Throttle.entry(key, now);
+            const count = (prev?.count || 0) + 1;
+            const extra = count - c.freeAttempts;
+            const delay = extra > 0 ? Math.min(c.baseDelaySeconds * 2 ** (extra - 1), c.maxDelaySeconds) : 0;
+
+            next[key] = {
+              count,
+              lastAt: new Date(now).toISOString(),
+              nextAt: new Date(now + delay * 1000).toISOString(),
+              lockedUntil: count >= c.lockAfter
+                ? new Date(now + c.lockMinutes * MINUTE).toISOString()
+                : prev?.lockedUntil || null
+            };
+          });
 
-        return {
-          ...userScores,
-          [gameId]: {
-            ...(userScores[gameId] || {}),
-            [key]: typeof prev !== "number" ? value : Math.min(prev, value),
-            updatedAt: nowISO()
-          }
-        };
-      });
+          // La cuenta recuerda desde qué navegadores falló, para poder desbloquearlos también.
+          const clients = all[acctKey]?.clients || [];
+          next[acctKey].clients = clients.includes(clientKey) ? clients : [...clients, clientKey];
 
-      return improved;
+          return next;
+        },
+        {}
+      );
     },
 
-    formatMs(ms) {
-      const s = (ms / 1000);
-      return `${s.toFixed(3)}s`;
+    // Login/reset correcto: se olvidan los fallos de esa cuenta y de este navegador.
+    clear(email) {
+      const keys = Throttle.keysFor(email);
+      Store.update(
+        Keys.attempts,
+        (all) => Object.fromEntries(Object.entries(all).filter(([key]) => !keys.includes(key))),
+        {}
+      );
     },
 
-    bestLabelForUser(userId) {
-      const s = Scores.getUser(userId);
-
-      // Prioridad: reacción → adivina → memory → whack → rps
-      if (typeof s.reaction?.bestMs === "number") return `⚡ ${Scores.formatMs(s.reaction.bestMs)}`;
-      if (typeof s.guess?.bestAttempts === "number") return `🎯 ${s.guess.bestAttempts} intentos`;
-      if (typeof s.memory?.bestMoves === "number") return `🧠 ${s.memory.bestMoves} movimientos`;
-      if (typeof s.whack?.bestScore === "number") return `👾 ${s.whack.bestScore} puntos`;
-      if (typeof s.rps?.bestStreak === "number") return `🪨 ${s.rps.bestStreak} racha`;
-
-      return "—";
+    // Desbloqueo manual de una cuenta (admin): la cuenta y los navegadores desde los que falló.
+    unlock(email) {
+      const key = `acct:${normalizeEmail(email)}`;
+      Store.update(
+        Keys.attempts,
+        (all) => {
+          const keys = [key, ...(all[key]?.clients || [])];
+          return Object.fromEntries(Object.entries(all).filter(([x]) => !keys.includes(x)));
+        },
+        {}
+      );
     }
   };
 
   /* ==========================================================================
-     9) UI (TOASTS, MODALES, NAV, TEMA, ANIMACIONES)
+     5.3) VERIFICACIÓN EN DOS PASOS (TOTP + CÓDIGOS DE RESPALDO)
+     - El secreto se muestra una sola vez (texto + URI otpauth://).
+     - El usuario lo confirma escribiendo un código antes de activarlo.
+     - Los códigos de respaldo se guardan hasheados y valen una vez.
   ========================================================================== */
-  const UI = {
-    toastWrap() {
-      let el = $("#toastWrap");
-      if (!el) {
-        el = document.createElement("div");
-        el.id = "toastWrap";
-        el.className = "toastWrap";
-        document.body.appendChild(el);
+  const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+  const base32Encode = (bytes) => {
+    let bits = 0;
+    let value = 0;
+    let out = "";
+    bytes.forEach((b) => {
+      value = (value << 8) | b;
+      bits += 8;
+      while (bits >= 5) {
+        out += BASE32[(value >>> (bits - 5)) & 31];
+        bits -= 5;
       }
-      return el;
-    },
+    });
+    if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+    return out;
+  };
 
-    toast({ title, message }) {
-      const wrap = UI.toastWrap();
+  const base32Decode = (str) => {
+    const clean = String(str || "").toUpperCase().replace(/[^A-Z2-7]/g, "");
+    const out = [];
+    let bits = 0;
+    let value = 0;
+    for (const ch of clean) {
+      value = (value << 5) | BASE32.indexOf(ch);
+      bits += 5;
+      if (bits >= 8) {
+        out.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+    return new Uint8Array(out);
+  };
 
-      const toast = document.createElement("div");
-      toast.className = "toast";
+  // HOTP (RFC 4226) con HMAC-SHA1.
+  // TOTP necesita HMAC de WebCrypto (solo en HTTPS o localhost); sin él no hay alta posible.
+  const HAS_TOTP = HAS_WEBCRYPTO && !!(crypto.subtle.importKey && crypto.subtle.sign && crypto.getRandomValues);
 
-      const b = document.createElement("b");
-      b.textContent = title;
+  const hotp = async (secretBytes, counter, digits) => {
+    const msg = new Uint8Array(8);
+    let c = counter;
+    for (let i = 7; i >= 0; i--) {
+      msg[i] = c & 255;
+      c = Math.floor(c / 256);
+    }
 
-      const span = document.createElement("span");
-      span.textContent = message;
+    const key = await crypto.subtle.importKey("raw", secretBytes, { name: "HMAC", hash: "SHA-1" }, false, ["sign"]);
+    const mac = new Uint8Array(await crypto.subtle.sign("HMAC", key, msg));
 
-      toast.appendChild(b);
-      toast.appendChild(span);
-      wrap.appendChild(toast);
+    const offset = mac[mac.length - 1] & 15;
+    const bin = ((mac[offset] & 127) << 24) | (mac[offset + 1] << 16) | (mac[offset + 2] << 8) | mac[offset + 3];
+    return String(bin % 10 ** digits).padStart(digits, "0");
+  };
 
-      setTimeout(() => toast.remove(), 3500);
-    },
+  const TwoFactor = {
+    // Retos pendientes (contraseña ya correcta, falta el código). Solo en memoria.
+    challenges: new Map(),
 
-    // Modal de confirmación (usa el modal HTML si existe, si no usa confirm()).
-    confirm({ title, message, okText = "Aceptar", cancelText = "Cancelar" }) {
-      return new Promise((resolve) => {
-        const modal = $("#modal");
-        const titleEl = $("#modalTitle");
-        const textEl = $("#modalText");
-        const btnOk = $("#modalOk");
-        const btnCancel = $("#modalCancel");
+    isEnabled(user) {
+      return !!user?.totp?.enabledAt;
+    },
 
-        if (!modal || !titleEl || !textEl || !btnOk || !btnCancel) {
-          resolve(confirm(message));
-          return;
-        }
+    // ¿Se puede usar TOTP en este navegador?
+    isAvailable() {
+      return HAS_TOTP;
+    },
 
-        titleEl.textContent = title;
-        textEl.textContent = message;
-        btnOk.textContent = okText;
-        btnCancel.textContent = cancelText;
+    // ¿Este usuario está obligado a tener 2FA? (solo el rol admin; los moderadores, si quieren)
+    // Sin WebCrypto no se exige (no podría activarla); el panel lo avisa al entrar.
+    isRequired(user) {
+      return user?.role === "admin" && CONFIG.twoFactor.requireForAdmins && HAS_TOTP;
+    },
 
-        const close = (value) => {
-          modal.classList.remove("is-open");
-          modal.setAttribute("aria-hidden", "true");
-          btnOk.onclick = null;
-          btnCancel.onclick = null;
-          resolve(value);
-        };
+    currentStep(now = Date.now()) {
+      return Math.floor(now / 1000 / CONFIG.twoFactor.period);
+    },
 
-        btnOk.onclick = () => close(true);
-        btnCancel.onclick = () => close(false);
+    // Paso de tiempo que corresponde al código (o null si no vale).
+    async matchStep(secret, code, now = Date.now()) {
+      const { digits, window: win } = CONFIG.twoFactor;
+      const clean = String(code || "").replace(/\s+/g, "");
+      if (!new RegExp(`^\\d{${digits}}$`).test(clean) || !HAS_TOTP) return null;
 
-        modal.classList.add("is-open");
-        modal.setAttribute("aria-hidden", "false");
-      });
+      const bytes = base32Decode(secret);
+      const step = TwoFactor.currentStep(now);
+      for (let d = -win; d <= win; d++) {
+        if (safeEqual(await hotp(bytes, step + d, digits), clean)) return step + d;
+      }
+      return null;
     },
 
-    openGameModal({ title, subtitle, contentEl }) {
-      const modal = $("#gameModal");
-      const titleEl = $("#gameTitle");
-      const subEl = $("#gameSubtitle");
-      const content = $("#gameContent");
+    // Prepara un alta: secreto + URI + códigos de respaldo (aún sin guardar).
+    setup(user) {
+      if (!HAS_TOTP) {
+        throw new Error("Este navegador no permite la verificación en dos pasos aquí: abre la web con HTTPS.");
+      }
 
-      if (!modal || !titleEl || !subEl || !content) return;
+      const bytes = new Uint8Array(20);
+      crypto.getRandomValues(bytes);
+      const secret = base32Encode(bytes);
 
-      titleEl.textContent = title;
-      subEl.textContent = subtitle;
+      const { issuer, digits, period } = CONFIG.twoFactor;
+      const label = encodeURIComponent(`${issuer}:${user.email}`);
+      const uri = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}` +
+        `&algorithm=SHA1&digits=${digits}&period=${period}`;
 
-      content.innerHTML = "";
-      content.appendChild(contentEl);
+      return { secret, uri, backupCodes: TwoFactor.newBackupCodes() };
+    },
 
-      modal.classList.add("is-open");
-      modal.setAttribute("aria-hidden", "false");
+    newBackupCodes() {
+      return Array.from({ length: CONFIG.twoFactor.backupCodes }, () => {
+        const hex = randomHex(5);
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+      });
     },
 
-    closeGameModal() {
-      const modal = $("#gameModal");
-      const content = $("#gameContent");
-      if (!modal) return;
+    // "AB12C-D34EF", "ab12c d34ef" y "ab12cd34ef" son el mismo código.
+    normalizeBackupCode(code) {
+      return String(code || "").toLowerCase().replace(/[\s-]/g, "");
+    },
 
-      modal.classList.remove("is-open");
-      modal.setAttribute("aria-hidden", "true");
+    // Con PBKDF2 (como las contraseñas): son cortos y no deben poder sacarse a fuerza bruta.
+    hashBackupCodes(codes) {
+      return Promise.all(codes.map(async (code) => {
+        const { salt, hash, algo } = await Secrets.hash(TwoFactor.normalizeBackupCode(code));
+        return { salt, hash, algo, usedAt: null };
+      }));
+    },
 
-      if (content) content.innerHTML = "";
+    matchBackupCode(entry, code) {
+      return Secrets.verify(TwoFactor.normalizeBackupCode(code), entry);
     },
 
-    updateNav() {
-      const user = Auth.currentUser();
+    // Activa 2FA si el código generado con el secreto es correcto.
+    async enable(userId, { secret, backupCodes }, code) {
+      const step = await TwoFactor.matchStep(secret, code);
+      if (step === null) throw new Error("El código no es correcto. Revisa la hora del dispositivo.");
+
+      Auth.updateUser(userId, {
+        totp: {
+          secret,
+          enabledAt: nowISO(),
+          lastStep: step,
+          backupCodes: await TwoFactor.hashBackupCodes(backupCodes)
+        }
+      });
+    },
 
-      // Elementos que dependen de sesión.
-      const loggedInOnly = $$('[data-auth="loggedInOnly"]');
-      const loggedOutOnly = $$('[data-auth="loggedOutOnly"]');
+    async disable(user, code) {
+      if (TwoFactor.isRequired(user)) throw new Error("Los administradores deben mantener la verificación en dos pasos.");
+      if (!(await TwoFactor.verifyLogin(user, code))) throw new Error("El código no es correcto.");
+      Auth.updateUser(user.id, { totp: null });
+    },
 
-      loggedInOnly.forEach((el) => el.classList.toggle("is-hidden", !user));
-      loggedOutOnly.forEach((el) => el.classList.toggle("is-hidden", !!user));
+    async regenerateBackupCodes(user, code) {
+      if (!(await TwoFactor.verifyLogin(user, code))) throw new Error("El código no es correcto.");
+      const codes = TwoFactor.newBackupCodes();
+      const fresh = Auth.findById(user.id);
+      Auth.updateUser(user.id, { totp: { ...fresh.totp, backupCodes: await TwoFactor.hashBackupCodes(codes) } });
+      return codes;
+    },
 
-      // Elementos visibles solo para admins.
-      const adminOnly = $$('[data-role="adminOnly"]');
-      adminOnly.forEach((el) => el.classList.toggle("is-hidden", !(user && user.role === "admin")));
+    remainingBackupCodes(user) {
+      return (user?.totp?.backupCodes || []).filter((c) => !c.usedAt).length;
+    },
 
-      // Badge “usuario”.
-      const navUser = $("#navUser");
-      if (navUser) {
-        if (user) {
-          navUser.textContent = user.role === "admin" ? `👤 ${user.name} • Admin` : `👤 ${user.name}`;
-          navUser.classList.remove("is-hidden");
-        } else {
-          navUser.classList.add("is-hidden");
+    // Verifica un código TOTP (sin reutilizar uno ya usado) o un código de respaldo.
+    async verifyLogin(user, code) {
+      const totp = user.totp;
+      if (!totp) return false;
+
+      const step = await TwoFactor.matchStep(totp.secret, code);
+      if (step !== null) {
+        if (step <= (totp.lastStep ?? -1)) return false;
+        Auth.updateUser(user.id, { totp: { ...totp, lastStep: step } });
+        return true;
+      }
+
+      for (let i = 0; i < totp.backupCodes.length; i++) {
+        const entry = totp.backupCodes[i];
+        if (entry.usedAt) continue;
+        if (await TwoFactor.matchBackupCode(entry, code)) {
+          const backupCodes = totp.backupCodes.map((c, j) => (j === i ? { ...c, usedAt: nowISO() } : c));
+          Auth.updateUser(user.id, { totp: { ...totp, backupCodes } });
+          return true;
         }
       }
+
+      return false;
     },
 
-    initTheme() {
-      const ui = Store.get(Keys.ui, { theme: "dark" });
-      document.documentElement.setAttribute("data-theme", ui.theme);
+    createChallenge(userId, remember) {
+      const challenge = {
+        id: uid("tfa"),
+        userId,
+        remember: !!remember,
+        expiresAt: Date.now() + CONFIG.twoFactor.challengeMinutes * MINUTE
+      };
+      TwoFactor.challenges.set(challenge.id, challenge);
+      return challenge.id;
+    },
 
-      const icon = $("#themeIcon");
-      if (icon) icon.textContent = ui.theme === "light" ? "☀" : "☾";
+    // Saca el reto (un solo uso); null si no existe o caducó.
+    takeChallenge(challengeId) {
+      const challenge = TwoFactor.challenges.get(challengeId);
+      TwoFactor.challenges.delete(challengeId);
+      if (!challenge || challenge.expiresAt < Date.now()) return null;
+      return challenge;
+    }
+  };
+
+  /* ==========================================================================
+     5.4) ROLES Y PERMISOS
+     - Cada rol tiene una lista de permisos. Nunca se pregunta por el rol:
+       se pregunta can(user, "permiso").
+  ========================================================================== */
+  const ROLES = {
+    user: {
+      label: "Usuario",
+      permissions: []
     },
+    moderator: {
+      label: "Moderador",
+      permissions: ["admin.access", "comments.moderate", "comments.publish"]
+    },
+    admin: {
+      label: "Admin",
+      permissions: [
+        "admin.access",       // Entrar al panel.
+        "comments.moderate",  // Aprobar / borrar comentarios.
+        "comments.publish",   // Sus comentarios no pasan por revisión.
+        "users.manage",       // Roles, borrar y desbloquear usuarios.
+        "messages.read",      // Bandeja de contacto.
+        "mail.read",          // Outbox de correo (contiene enlaces de acceso).
+        "data.manage",        // Copias de seguridad.
+        "audit.read"          // Registro de auditoría.
+      ]
+    }
+  };
 
-    toggleTheme() {
-      const current = document.documentElement.getAttribute("data-theme") || "dark";
-      const next = current === "dark" ? "light" : "dark";
+  function can(user, permission) {
+    if (!user || !permission) return false;
+    return (ROLES[user.role]?.permissions || []).includes(permission);
+  }
 
-      document.documentElement.setAttribute("data-theme", next);
-      Store.update(Keys.ui, (ui) => ({ ...ui, theme: next }), { theme: "dark" });
+  function roleLabel(role) {
+    return ROLES[role]?.label || role;
+  }
 
-      const icon = $("#themeIcon");
-      if (icon) icon.textContent = next === "light" ? "☀" : "☾";
+  /* ==========================================================================
+     5.5) AUDITORÍA
+     - Cada acción privilegiada (panel admin) y cada acceso (login, logout,
+       restablecer contraseña) deja una entrada con quién, sobre qué,
+       antes/después y cuándo.
+  ========================================================================== */
+  const AUDIT_ACTIONS = {
+    "auth.login": "Inicio de sesión",
+    "auth.loginFailed": "Login fallido",
+    "auth.logout": "Cierre de sesión",
+    "auth.reset": "Contraseña restablecida",
+    "account.delete": "Baja de cuenta",
+    "user.role": "Cambio de rol",
+    "user.delete": "Usuario borrado",
+    "user.unlock": "Cuenta desbloqueada",
+    "user.suspend": "Usuario suspendido",
+    "user.unsuspend": "Suspensión levantada",
+    "comment.approve": "Comentario aprobado",
+    "comment.reject": "Comentario rechazado",
+    "comment.delete": "Comentario borrado",
+    "comment.edit": "Comentario editado",
+    "comment.flag": "Comentario retirado por reportes",
+    "message.status": "Estado de mensaje",
+    "message.assign": "Mensaje asignado",
+    "message.reply": "Mensaje respondido",
+    "message.note": "Nota interna en mensaje",
+    "message.release": "Mensaje sacado de cuarentena",
+    "backup.export": "Copia exportada",
+    "backup.import": "Copia importada"
+  };
+
+  // Autor de lo que ocurre solo (ej: fin de una suspensión).
+  const SYSTEM_ACTOR = { id: "system", name: "Sistema" };
+
+  const Audit = {
+    list() {
+      return Store.get(Keys.audit, []);
     },
 
-    initReveal() {
-      const els = $$(".reveal");
-      if (!("IntersectionObserver" in window) || els.length === 0) {
-        els.forEach((el) => el.classList.add("is-visible"));
-        return;
-      }
+    // actor: usuario que actúa (por defecto, el de la sesión; null = anónimo).
+    // target: { type, id, label } sobre lo que se actúa.
+    log(action, { actor, target = null, before = null, after = null, meta = null } = {}) {
+      // Sin Auth.currentUser(): al cerrar una sesión que ya no vale, aún hay que saber de quién era.
+      const who = actor === undefined ? Auth.findById(Auth.currentSession()?.userId) : actor;
+
+      const entry = {
+        id: uid("aud"),
+        at: nowISO(),
+        action,
+        actorId: who?.id || null,
+        actorName: !who ? "Anónimo" : who.email ? `${who.name} <${who.email}>` : who.name,
+        target,
+        before,
+        after,
+        meta
+      };
 
-      const obs = new IntersectionObserver(
-        (entries) => {
-          entries.forEach((e) => {
-            if (e.isIntersecting) {
-              e.target.classList.add("is-visible");
-              obs.unobserve(e.target);
-            }
-          });
-        },
-        { threshold: 0.12 }
-      );
+      Store.update(Keys.audit, (all) => [entry, ...all].slice(0, CONFIG.audit.maxEntries), []);
+      return entry;
+    },
 
-      els.forEach((el) => obs.observe(el));
+    label(action) {
+      return AUDIT_ACTIONS[action] || action;
     },
 
-    initRipple() {
-      document.addEventListener("click", (ev) => {
-        const btn = ev.target.closest(".btn");
-        if (!btn) return;
+    userTarget(user) {
+      return { type: "user", id: user.id, label: `${user.name} <${user.email}>` };
+    },
 
-        const rect = btn.getBoundingClientRect();
-        const size = Math.max(rect.width, rect.height);
-        const x = ev.clientX - rect.left - size / 2;
-        const y = ev.clientY - rect.top - size / 2;
+    commentTarget(comment) {
+      return { type: "comment", id: comment.id, label: `${comment.authorName}: ${comment.text.slice(0, 60)}` };
+    },
 
-        const ripple = document.createElement("span");
-        ripple.className = "ripple";
-        ripple.style.width = ripple.style.height = `${size}px`;
-        ripple.style.left = `${x}px`;
-        ripple.style.top = `${y}px`;
+    messageTarget(message) {
+      return { type: "message", id: message.id, label: `${message.email}: ${message.subject.slice(0, 60)}` };
+    },
 
-        btn.appendChild(ripple);
-        ripple.addEventListener("animationend", () => ripple.remove());
+    // Filtros: { actorId, action, from, to } (días "YYYY-MM-DD" en hora local; todos opcionales).
+    filter({ actorId = "", action = "", from = "", to = "" } = {}) {
+      return Audit.list().filter((e) => {
+        if (actorId && (e.actorId || "anon") !== actorId) return false;
+        if (action && e.action !== action) return false;
+
+        const day = localDay(e.at);
+        if (from && day < from) return false;
+        if (to && day > to) return false;
+        return true;
       });
-    },
+    }
+  };
 
-    toggleMenu() {
-      const links = $("#navLinks");
-      if (!links) return;
-      links.classList.toggle("is-open");
+  /* ==========================================================================
+     5.6) SUSPENSIONES
+     - user.suspension = { reason, until, at, byId } (until null = indefinida).
+     - Mientras dura: no puede entrar, se cierran sus sesiones y sus
+       comentarios pendientes quedan ocultos.
+     - Al caducar se levanta sola (al cargar la web y cada minuto).
+  ========================================================================== */
+  const Suspensions = {
+    // Suspensión vigente o null (una caducada ya no cuenta).
+    active(user, now = Date.now()) {
+      const s = user?.suspension;
+      if (!s) return null;
+      if (s.until && Date.parse(s.until) <= now) return null;
+      return s;
     },
 
-    bindCommon() {
-      // Footer: año
-      const y = $("#yearNow");
-      if (y) y.textContent = String(yearNow());
+    describe(s) {
+      const when = s.until ? `hasta el ${formatDate(s.until)}` : "de forma indefinida";
+      return `Tu cuenta está suspendida ${when}. Motivo: ${s.reason}`;
+    },
 
-      // Clicks globales por data-action
-      document.addEventListener("click", async (ev) => {
-        const el = ev.target.closest("[data-action]");
-        if (!el) return;
+    // until: "YYYY-MM-DD" (fin de ese día), fecha ISO o vacío.
+    suspend(userId, { reason, until = "", actor = null }) {
+      const user = Auth.findById(userId);
+      if (!user) throw new Error("La cuenta ya no existe.");
 
-        const action = el.getAttribute("data-action");
+      const cleanReason = String(reason || "").trim();
+      if (cleanReason.length < 3) throw new Error("Escribe el motivo de la suspensión.");
 
-        if (action === "toggleTheme") UI.toggleTheme();
+      let untilISO = null;
+      if (until) {
+        const time = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(until) ? `${until}T23:59:59` : until);
+        if (Number.isNaN(time) || time <= Date.now()) throw new Error("La fecha de fin tiene que ser futura.");
+        untilISO = new Date(time).toISOString();
+      }
 
-        if (action === "toggleMenu") UI.toggleMenu();
+      const suspension = { reason: cleanReason, until: untilISO, at: nowISO(), byId: actor?.id || null };
 
-        if (action === "closeModal") {
-          const modal = $("#modal");
-          if (modal) {
-            modal.classList.remove("is-open");
-            modal.setAttribute("aria-hidden", "true");
-          }
-        }
+      Auth.updateUser(user.id, { suspension });
+      Sessions.revokeOthers(user.id, null);
+      Comments.hideByAuthor(user.id);
+      return suspension;
+    },
 
-        if (action === "closeGame") UI.closeGameModal();
+    lift(userId) {
+      Auth.updateUser(userId, { suspension: null });
+      Comments.unhideByAuthor(userId);
+    },
 
-        if (action === "logout") {
-          const ok = await UI.confirm({
-            title: "Cerrar sesión",
-            message: "¿Seguro que quieres cerrar sesión?"
+    // Levanta las suspensiones que ya han caducado.
+    sweep() {
+      Auth.listUsers()
+        .filter((u) => u.suspension && !Suspensions.active(u))
+        .forEach((u) => {
+          Suspensions.lift(u.id);
+          Audit.log("user.unsuspend", {
+            actor: SYSTEM_ACTOR,
+            target: Audit.userTarget(u),
+            before: { suspension: u.suspension },
+            after: { suspension: null },
+            meta: { auto: true }
           });
+        });
+    }
+  };
 
-          if (!ok) return;
-
-          Auth.logout();
-          UI.updateNav();
-          UI.toast({ title: "Sesión cerrada", message: "Has salido correctamente." });
-
-          // Si estamos en admin, volvemos al inicio
-          if (document.body.dataset.page === "admin") window.location.href = "index.html";
-        }
+  /* ==========================================================================
+     5.7) ANTISPAM (COMENTARIOS Y MENSAJES)
+     - Reglas configurables en CONFIG.spam.rules: cada una devuelve un detalle
+       (string) si salta, o null.
+     - El resultado se guarda en el elemento: spam = { score, hits: [{ rule, detail }] }.
+  ========================================================================== */
+  const normalizeText = (text) => String(text || "").toLowerCase().replace(/\s+/g, " ").trim();
+
+  const SPAM_RULES = {
+    blocklist: {
+      label: "Palabra bloqueada",
+      test(text, ctx, { words }) {
+        const lower = normalizeText(text);
+        const found = words.filter((w) =>
+          new RegExp(`(^|[^\\p{L}])${w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}($|[^\\p{L}])`, "u").test(lower)
+        );
+        return found.length ? found.join(", ") : null;
+      }
+    },
+    links: {
+      label: "Demasiados enlaces",
+      test(text, ctx, { max }) {
+        const count = (String(text).match(/(https?:\/\/|www\.)\S+/gi) || []).length;
+        return count > max ? `${count} enlaces` : null;
+      }
+    },
+    repeatedChars: {
+      label: "Caracteres repetidos",
+      test(text, ctx, { run }) {
+        const match = String(text).match(new RegExp(`(\\S)\\1{${run - 1},}`, "u"));
+        return match ? `“${match[0].slice(0, 12)}”` : null;
+      }
+    },
+    caps: {
+      label: "Exceso de mayúsculas",
+      test(text, ctx, { ratio, minLetters }) {
+        const letters = String(text).match(/\p{L}/gu) || [];
+        if (letters.length < minLetters) return null;
+        const upper = letters.filter((ch) => ch !== ch.toLowerCase()).length / letters.length;
+        return upper >= ratio ? `${Math.round(upper * 100)}%` : null;
+      }
+    },
+    duplicate: {
+      label: "Texto duplicado",
+      test(text, { recent }, { hours }) {
+        const since = Date.now() - hours * 3600000;
+        const same = recent.filter((x) => Date.parse(x.createdAt) >= since && normalizeText(x.text) === normalizeText(text));
+        return same.length ? `${same.length} igual${same.length === 1 ? "" : "es"} en ${hours} h` : null;
+      }
+    },
+    frequency: {
+      label: "Demasiados envíos seguidos",
+      test(text, { mine }, { max, minutes }) {
+        const since = Date.now() - minutes * 60000;
+        const count = mine.filter((x) => Date.parse(x.createdAt) >= since).length;
+        return count >= max ? `${count + 1} en ${minutes} min` : null;
+      }
+    }
+  };
 
-        if (action === "openGame") {
-          const gameId = el.getAttribute("data-game");
-          if (gameId) Games.open(gameId);
-        }
-      });
+  const Spam = {
+    // recent: todo lo enviado antes ({ text, createdAt }); mine: solo lo del mismo autor.
+    check(text, { recent = [], mine = [] } = {}) {
+      if (!CONFIG.spam.enabled) return { score: 0, hits: [] };
 
-      // Cerrar modales con Escape
-      document.addEventListener("keydown", (ev) => {
-        if (ev.key !== "Escape") return;
+      const hits = Object.entries(CONFIG.spam.rules)
+        .filter(([rule]) => SPAM_RULES[rule])
+        .map(([rule, opts]) => ({ rule, weight: opts.weight, detail: SPAM_RULES[rule].test(text, { recent, mine }, opts) }))
+        .filter((h) => h.detail);
 
-        const confirmModal = $("#modal");
-        if (confirmModal?.classList.contains("is-open")) {
-          confirmModal.classList.remove("is-open");
-          confirmModal.setAttribute("aria-hidden", "true");
-        }
+      return {
+        score: hits.reduce((sum, h) => sum + h.weight, 0),
+        hits: hits.map(({ rule, detail }) => ({ rule, detail }))
+      };
+    },
 
-        const gameModal = $("#gameModal");
-        if (gameModal?.classList.contains("is-open")) UI.closeGameModal();
-      });
+    isSpam(result) {
+      return CONFIG.spam.enabled && result.score >= CONFIG.spam.threshold;
+    },
 
-      // Cerrar el modal de juego si se hace click en el fondo oscuro
-      const gameModal = $("#gameModal");
-      if (gameModal) {
-        gameModal.addEventListener("click", (ev) => {
-          if (ev.target === gameModal) UI.closeGameModal();
-        });
-      }
+    label(rule) {
+      return SPAM_RULES[rule]?.label || rule;
+    },
 
-      UI.initTheme();
-      UI.initReveal();
-      UI.initRipple();
-      UI.updateNav();
+    // Texto corto para las tablas del panel: "Enlaces (3) · Mayúsculas (80%)".
+    describe(result) {
+      return (result?.hits || []).map((h) => `${Spam.label(h.rule)} (${h.detail})`).join(" · ");
     }
   };
 
   /* ==========================================================================
-     10) MINI‑JUEGOS
-     - Cada juego devuelve un elemento DOM listo para insertarse en el modal.
+     6) COMENTARIOS (ENVÍO + MODERACIÓN)
   ========================================================================== */
-  const MiniGames = {
-    // ----------------------------------------------------------
-    // 10.1) Roca / Papel / Tijera
-    // ----------------------------------------------------------
-    rps(game, user) {
-      const root = document.createElement("div");
-      root.className = "gameWrap";
+  // Estados de un comentario (solo "approved" es público).
+  const COMMENT_STATUS = {
+    pending: "Pendiente",
+    approved: "Aprobado",
+    rejected: "Rechazado",
+    quarantined: "En cuarentena (posible spam)",
+    flagged: "Reportado (en revisión)",
+    hidden: "Oculto (autor suspendido)"
+  };
 
-      let wins = 0;
-      let losses = 0;
-      let ties = 0;
+  // Motivos para “Reportar” un comentario.
+  const REPORT_REASONS = {
+    spam: "Spam o publicidad",
+    offensive: "Lenguaje ofensivo",
+    harassment: "Acoso o ataques personales",
+    offtopic: "Fuera de tema",
+    other: "Otro motivo"
+  };
 
-      let streak = 0;
-      let bestStreak = 0;
+  // Reacciones disponibles (una por usuario y emoji).
+  const COMMENT_REACTIONS = ["👍", "❤️", "😂", "🎮"];
 
-      const hud = document.createElement("div");
-      hud.className = "gameHud";
-      hud.innerHTML = `
-        <span class="hudStat">🏆 Racha: <span id="rpsStreak">0</span></span>
-        <span class="hudStat">✅ <span id="rpsWins">0</span></span>
-        <span class="hudStat">➖ <span id="rpsTies">0</span></span>
-        <span class="hudStat">❌ <span id="rpsLoss">0</span></span>
-      `;
+  // Quita comentarios de la lista. Sus respuestas suben al ancestro más cercano
+  // que siga existiendo (o pasan a ser de primer nivel).
+  function dropComments(all, ids) {
+    const parentOf = new Map(all.filter((c) => ids.has(c.id)).map((c) => [c.id, c.parentId || null]));
 
-      const panel = document.createElement("div");
-      panel.className = "gamePanel";
-      panel.innerHTML = `
-        <p class="muted" style="margin:0 0 12px;">
-          Elige una opción. Si ganas, tu racha sube. Si pierdes, vuelve a 0.
-        </p>
+    const survivor = (id) => {
+      while (id && parentOf.has(id)) id = parentOf.get(id);
+      return id || null;
+    };
 
-        <div class="rpsChoices">
-          <button class="rpsBtn" data-pick="rock" type="button"><b>🪨</b><span>Piedra</span></button>
-          <button class="rpsBtn" data-pick="paper" type="button"><b>📄</b><span>Papel</span></button>
-          <button class="rpsBtn" data-pick="scissors" type="button"><b>✂️</b><span>Tijera</span></button>
-        </div>
+    return all
+      .filter((c) => !parentOf.has(c.id))
+      .map((c) => (parentOf.has(c.parentId) ? { ...c, parentId: survivor(c.parentId) } : c));
+  }
 
-        <div class="spacer"></div>
+  const Comments = {
+    listAll() {
+      return Store.get(Keys.comments, []);
+    },
 
-        <div class="guessHint" id="rpsResult">Haz tu primera jugada.</div>
-      `;
+    listPublic() {
+      return Comments
+        .listAll()
+        .filter((c) => c.status === "approved")
+        .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+    },
 
-      const setHud = () => {
-        $("#rpsWins", root).textContent = String(wins);
-        $("#rpsTies", root).textContent = String(ties);
-        $("#rpsLoss", root).textContent = String(losses);
-        $("#rpsStreak", root).textContent = String(streak);
-      };
+    // parentId → respuesta a ese comentario (misma moderación que uno normal).
+    add({ author, text, parentId = null }) {
+      const cleanText = String(text || "").trim();
 
-      const winMap = {
-        rock: "scissors",
-        paper: "rock",
-        scissors: "paper"
-      };
+      if (parentId) {
+        const parent = Comments.find(parentId);
+        if (!parent || parent.status !== "approved") throw new Error("Ese comentario ya no admite respuestas.");
+        if (!Comments.canReply(parent)) throw new Error("Este hilo no admite más niveles de respuesta.");
+      }
 
-      panel.addEventListener("click", (ev) => {
-        const btn = ev.target.closest("[data-pick]");
-        if (!btn) return;
+      const { status, spam } = Comments.screen(author, cleanText);
+
+      const comment = {
+        id: uid("cmt"),
+        parentId: parentId || null,
+        authorId: author.id,
+        authorName: author.name,
+        text: cleanText,
+        status,
+        createdAt: nowISO(),
+        approvedAt: status === "approved" ? nowISO() : null,
+        ...Comments.autoRejection(status),
+        spam
+      };
+
+      Store.update(Keys.comments, (all) => [comment, ...all], []);
+      Comments.logAutoRejection(comment);
+
+      if (comment.status === "pending" || comment.status === "quarantined") {
+        Notifications.pushToPermission(
+          "comments.moderate",
+          {
+            type: "comment.pending",
+            tab: "comments",
+            title: comment.status === "quarantined" ? "Comentario en cuarentena" : "Comentario pendiente",
+            message: `${author.name}: ${shorten(cleanText)}`,
+            link: "admin.html#tab=comments"
+          },
+          author.id
+        );
+      }
+      if (comment.status === "approved") Comments.notifyReply(comment);
+      return comment;
+    },
+
+    // Aviso al autor del comentario al que responde (cuando la respuesta se publica).
+    notifyReply(comment) {
+      const parent = comment.parentId ? Comments.find(comment.parentId) : null;
+      if (!parent?.authorId || parent.authorId === comment.authorId) return;
+
+      Notifications.push(parent.authorId, {
+        type: "comment.reply",
+        title: `${comment.authorName} respondió a tu comentario`,
+        message: shorten(comment.text),
+        link: "index.html#comentarios"
+      });
+    },
+
+    // Estado inicial según permisos + filtro antispam.
+    // exceptId: el comentario que se está editando (no cuenta como duplicado).
+    screen(author, text, exceptId = null) {
+      const others = Comments.listAll().filter((c) => c.id !== exceptId);
+      const spam = Spam.check(text, { recent: others, mine: others.filter((c) => c.authorId === author.id) });
+
+      if (can(author, "comments.publish")) return { status: "approved", spam };
+      if (Spam.isSpam(spam)) return { status: CONFIG.spam.action === "reject" ? "rejected" : "quarantined", spam };
+
+      return { status: Comments.isTrusted(author) ? "approved" : "pending", spam };
+    },
+
+    // De confianza: suficientes aprobados y ningún rechazo.
+    isTrusted(author) {
+      const mine = Comments.listByAuthor(author.id);
+      return (
+        mine.filter((c) => c.status === "approved").length >= CONFIG.spam.trustAfterApproved &&
+        !mine.some((c) => c.status === "rejected" || c.status === "quarantined")
+      );
+    },
+
+    autoRejection(status) {
+      return status === "rejected"
+        ? { rejectedAt: nowISO(), moderationNote: "Rechazado automáticamente por el filtro antispam." }
+        : {};
+    },
+
+    logAutoRejection(comment) {
+      if (comment.status !== "rejected") return;
+      Audit.log("comment.reject", {
+        actor: SYSTEM_ACTOR,
+        target: Audit.commentTarget(comment),
+        after: { status: "rejected", spam: comment.spam.score },
+        meta: { auto: true, hits: comment.spam.hits.map((h) => h.rule) }
+      });
+    },
+
+    approve(commentId) {
+      const before = Comments.find(commentId);
+
+      Store.update(
+        Keys.comments,
+        (all) =>
+          all.map((c) =>
+            c.id === commentId
+              ? {
+                  ...c,
+                  status: "approved",
+                  approvedAt: nowISO(),
+                  rejectedAt: null,
+                  moderationNote: null,
+                  // Al revisarlo se descartan los reportes (quedan guardados aparte).
+                  reports: [],
+                  dismissedReports: [...(c.dismissedReports || []), ...(c.reports || [])]
+                }
+              : c
+          ),
+        []
+      );
+
+      if (before && before.status !== "approved") {
+        Notifications.push(before.authorId, {
+          type: "comment.approved",
+          title: "Tu comentario fue aprobado",
+          message: shorten(before.text),
+          link: "index.html#comentarios"
+        });
+        Comments.notifyReply(before);
+      }
+    },
+
+    // La nota la ve el autor junto a su comentario.
+    reject(commentId, note = "") {
+      Store.update(
+        Keys.comments,
+        (all) =>
+          all.map((c) =>
+            c.id === commentId
+              ? { ...c, status: "rejected", rejectedAt: nowISO(), approvedAt: null, moderationNote: String(note).trim() || null }
+              : c
+          ),
+        []
+      );
+
+      const c = Comments.find(commentId);
+      if (c) {
+        Notifications.push(c.authorId, {
+          type: "comment.rejected",
+          title: "Tu comentario fue rechazado",
+          message: c.moderationNote ? `Motivo: ${c.moderationNote}` : shorten(c.text),
+          link: "index.html#comentarios"
+        });
+      }
+    },
+
+    // Edición por su autor. Guarda la versión anterior en history.
+    // Devuelve el comentario actualizado (status puede volver a "pending").
+    edit(commentId, { author, text }) {
+      const c = Comments.find(commentId);
+      if (!c || c.authorId !== author.id) throw new Error("Solo puedes editar tus propios comentarios.");
+
+      const cleanText = String(text || "").trim();
+      if (cleanText.length < 2) throw new Error("Escribe un comentario más largo.");
+      if (cleanText === c.text) return c;
+
+      // Lo rechazado vuelve a la cola al corregirlo; lo pendiente sigue pendiente.
+      // El texto nuevo pasa otra vez por el filtro antispam.
+      const screened = Comments.screen(author, cleanText, c.id);
+      const keep = c.status === "approved" && CONFIG.comments.editPolicy === "keep";
+      const status =
+        screened.status === "approved" || screened.status === "pending"
+          ? can(author, "comments.publish") || keep ? "approved" : c.status === "hidden" ? "hidden" : "pending"
+          : screened.status;
+
+      const updated = {
+        ...c,
+        text: cleanText,
+        status,
+        approvedAt: status === "approved" ? c.approvedAt || nowISO() : null,
+        rejectedAt: null,
+        moderationNote: null,
+        ...Comments.autoRejection(status),
+        spam: screened.spam,
+        editedAt: nowISO(),
+        history: [...(c.history || []), { text: c.text, at: c.editedAt || c.createdAt }]
+      };
+
+      Store.update(Keys.comments, (all) => all.map((x) => (x.id === commentId ? updated : x)), []);
+      Comments.logAutoRejection(updated);
+      return updated;
+    },
+
+    // Borrado por su autor: las respuestas de otros se conservan (suben un nivel).
+    removeOwn(commentId, author) {
+      const c = Comments.find(commentId);
+      if (!c || c.authorId !== author.id) throw new Error("Solo puedes borrar tus propios comentarios.");
+
+      Comments.remove(commentId);
+      Audit.log("comment.delete", { actor: author, target: Audit.commentTarget(c), before: c, meta: { own: true } });
+      return c;
+    },
+
+    // thread: true → también se borran todas sus respuestas; si no, suben un nivel.
+    remove(commentId, { thread = false } = {}) {
+      Store.update(
+        Keys.comments,
+        (all) => dropComments(all, new Set([commentId, ...(thread ? Comments.replyIds(commentId, all) : [])])),
+        []
+      );
+    },
+
+    find(commentId) {
+      return Comments.listAll().find((c) => c.id === commentId) || null;
+    },
+
+    // Nivel en el hilo: 0 = primer nivel, 1 = respuesta, 2 = respuesta a respuesta...
+    depth(comment, all = Comments.listAll()) {
+      let depth = 0;
+      let parent = all.find((c) => c.id === comment.parentId);
+
+      while (parent) {
+        depth += 1;
+        parent = all.find((c) => c.id === parent.parentId);
+      }
+      return depth;
+    },
+
+    canReply(comment, all = Comments.listAll()) {
+      return comment.status === "approved" && Comments.depth(comment, all) < CONFIG.comments.maxDepth;
+    },
+
+    // Pone o quita la reacción del usuario. Devuelve true si queda puesta.
+    react(commentId, user, emoji) {
+      if (!COMMENT_REACTIONS.includes(emoji)) throw new Error("Reacción no válida.");
+
+      const c = Comments.find(commentId);
+      if (!c || c.status !== "approved") throw new Error("Solo se puede reaccionar a comentarios publicados.");
+
+      const users = c.reactions?.[emoji] || [];
+      const active = !users.includes(user.id);
+
+      Store.update(
+        Keys.comments,
+        (all) =>
+          all.map((x) =>
+            x.id === commentId
+              ? {
+                  ...x,
+                  reactions: {
+                    ...(x.reactions || {}),
+                    [emoji]: active ? [...users, user.id] : users.filter((id) => id !== user.id)
+                  }
+                }
+              : x
+          ),
+        []
+      );
+      return active;
+    },
+
+    reactionCount(comment, emoji) {
+      const reactions = comment.reactions || {};
+      return emoji
+        ? (reactions[emoji] || []).length
+        : Object.values(reactions).reduce((sum, ids) => sum + ids.length, 0);
+    },
+
+    // Reacciones que ha puesto un usuario (para su exportación de datos).
+    reactionsBy(userId) {
+      return Comments.listAll().flatMap((c) =>
+        Object.entries(c.reactions || {})
+          .filter(([, ids]) => ids.includes(userId))
+          .map(([emoji]) => ({ commentId: c.id, emoji }))
+      );
+    },
+
+    removeReactionsBy(userId) {
+      Store.update(
+        Keys.comments,
+        (all) =>
+          all.map((c) =>
+            c.reactions
+              ? {
+                  ...c,
+                  reactions: Object.fromEntries(
+                    Object.entries(c.reactions).map(([emoji, ids]) => [emoji, ids.filter((id) => id !== userId)])
+                  )
+                }
+              : c
+          ),
+        []
+      );
+    },
+
+    // Un reporte por usuario. Al llegar a CONFIG.comments.reportThreshold
+    // el comentario deja de ser público (status "flagged").
+    report(commentId, user, reason) {
+      if (!REPORT_REASONS[reason]) throw new Error("Elige un motivo.");
+
+      const c = Comments.find(commentId);
+      if (!c || c.status !== "approved") throw new Error("Ese comentario ya no está publicado.");
+      if (c.authorId === user.id) throw new Error("No puedes reportar tu propio comentario.");
+      if (Comments.hasReported(c, user.id)) throw new Error("Ya has reportado este comentario.");
+
+      const reports = [...(c.reports || []), { userId: user.id, userName: user.name, reason, at: nowISO() }];
+      const flagged = reports.length >= CONFIG.comments.reportThreshold;
+      const updated = { ...c, reports, ...(flagged ? { status: "flagged", flaggedAt: nowISO() } : {}) };
+
+      Store.update(Keys.comments, (all) => all.map((x) => (x.id === commentId ? updated : x)), []);
+
+      if (flagged) {
+        Notifications.pushToPermission("comments.moderate", {
+          type: "comment.flagged",
+          tab: "comments",
+          title: "Comentario retirado por reportes",
+          message: `${c.authorName}: ${shorten(c.text)}`,
+          link: "admin.html#tab=comments"
+        });
+        Audit.log("comment.flag", {
+          actor: SYSTEM_ACTOR,
+          target: Audit.commentTarget(updated),
+          before: { status: c.status },
+          after: { status: "flagged" },
+          meta: { reports: reports.length }
+        });
+      }
+      return updated;
+    },
+
+    hasReported(comment, userId) {
+      return (comment.reports || []).some((r) => r.userId === userId);
+    },
+
+    reportsBy(userId) {
+      return Comments.listAll().flatMap((c) =>
+        (c.reports || []).filter((r) => r.userId === userId).map(({ reason, at }) => ({ commentId: c.id, reason, at }))
+      );
+    },
+
+    removeReportsBy(userId) {
+      const keep = (list) => (list || []).filter((r) => r.userId !== userId);
+      Store.update(
+        Keys.comments,
+        (all) =>
+          all.map((c) =>
+            c.reports || c.dismissedReports
+              ? { ...c, reports: keep(c.reports), dismissedReports: keep(c.dismissedReports) }
+              : c
+          ),
+        []
+      );
+    },
+
+    // IDs de todas las respuestas (directas e indirectas) de un comentario.
+    replyIds(commentId, all = Comments.listAll()) {
+      const children = all.filter((c) => c.parentId === commentId).map((c) => c.id);
+      return children.flatMap((id) => [id, ...Comments.replyIds(id, all)]);
+    },
+
+    listByAuthor(authorId) {
+      return Comments.listAll().filter((c) => c.authorId === authorId);
+    },
+
+    // Al borrar una cuenta. Lo no aprobado nunca fue público: se borra siempre.
+    purgeAuthor(authorId, mode = CONFIG.accountDeletion.comments) {
+      const gone = (c) => c.authorId === authorId && (mode !== "anonymize" || c.status !== "approved");
+
+      Store.update(
+        Keys.comments,
+        (all) =>
+          dropComments(all, new Set(all.filter(gone).map((c) => c.id)))
+            .map((c) => (c.authorId === authorId ? { ...c, authorId: null, authorName: "Usuario eliminado" } : c)),
+        []
+      );
+    },
+
+    // Suspensión del autor: sus pendientes dejan de estar en la cola.
+    hideByAuthor(authorId) {
+      Store.update(
+        Keys.comments,
+        (all) =>
+          all.map((c) =>
+            c.authorId === authorId && c.status === "pending"
+              ? { ...c, status: "hidden", hiddenReason: "suspension" }
+              : c
+          ),
+        []
+      );
+    },
+
+    unhideByAuthor(authorId) {
+      Store.update(
+        Keys.comments,
+        (all) =>
+          all.map((c) =>
+            c.authorId === authorId && c.status === "hidden" && c.hiddenReason === "suspension"
+              ? { ...c, status: "pending", hiddenReason: null }
+              : c
+          ),
+        []
+      );
+    },
+
+    // El nombre se guarda copiado en cada comentario: al cambiarlo se actualiza.
+    renameAuthor(authorId, name) {
+      Store.update(
+        Keys.comments,
+        (all) => all.map((c) => (c.authorId === authorId ? { ...c, authorName: name } : c)),
+        []
+      );
+    }
+  };
+
+  /* ==========================================================================
+     7) MENSAJES (FORMULARIO DE CONTACTO + BANDEJA DE SOPORTE)
+     - Cada mensaje es una conversación: estado, persona asignada, notas
+       internas (solo panel) y respuestas (se envían por email con Mail).
+     - El usuario con sesión ve sus conversaciones (mismo email) en el inicio.
+  ========================================================================== */
+  const MESSAGE_STATUS = {
+    new: "Nuevo",
+    read: "Leído",
+    answered: "Respondido",
+    undelivered: "Respuesta sin enviar",  // La última respuesta no salió por email.
+    archived: "Archivado"
+  };
+
+  const Messages = {
+    list() {
+      return Store.get(Keys.messages, []).sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+    },
+
+    // Pasa por el filtro antispam: si es spam se rechaza (lanza Error) o queda en cuarentena.
+    // userId: quien lo envía con sesión iniciada (null si es anónimo).
+    add({ name, email, subject, body, userId = null }) {
+      const msg = {
+        id: uid("msg"),
+        userId,
+        name: String(name || "").trim(),
+        email: normalizeEmail(email),
+        subject: String(subject || "").trim(),
+        body: String(body || "").trim(),
+        status: "new",
+        assigneeId: null,
+        notes: [],
+        replies: [],
+        createdAt: nowISO()
+      };
+
+      const recent = Messages.list().map((m) => ({ text: `${m.subject}\n${m.body}`, email: m.email, createdAt: m.createdAt }));
+      const spam = Spam.check(`${msg.subject}\n${msg.body}`, { recent, mine: recent.filter((m) => m.email === msg.email) });
+
+      if (Spam.isSpam(spam) && CONFIG.spam.action === "reject") {
+        throw new Error("Tu mensaje no se ha enviado: el filtro antispam lo ha bloqueado.");
+      }
+
+      msg.spam = spam;
+      msg.quarantined = Spam.isSpam(spam);
+
+      Store.update(Keys.messages, (all) => [msg, ...all], []);
+
+      if (!msg.quarantined) {
+        Notifications.pushToPermission("messages.read", {
+          type: "message.new",
+          tab: "messages",
+          title: "Nuevo mensaje de contacto",
+          message: `${msg.name}: ${shorten(msg.subject)}`,
+          link: "admin.html#tab=messages"
+        });
+      }
+      return msg;
+    },
+
+    find(messageId) {
+      return Messages.list().find((m) => m.id === messageId) || null;
+    },
+
+    // Conversaciones de un usuario: solo las que envió con su sesión iniciada
+    // (el email del formulario lo puede escribir cualquiera). Las anteriores a userId
+    // se asociaron por email verificado en la migración 7.
+    listForUser(user) {
+      return user ? Messages.list().filter((m) => m.userId === user.id && !m.quarantined) : [];
+    },
+
+    update(messageId, patch) {
+      Store.update(
+        Keys.messages,
+        (all) => all.map((m) => (m.id === messageId ? { ...m, ...patch } : m)),
+        []
+      );
+      return Messages.find(messageId);
+    },
+
+    setStatus(messageId, status) {
+      if (!MESSAGE_STATUS[status]) throw new Error("Estado no válido.");
+      return Messages.update(messageId, { status });
+    },
+
+    // Solo se puede asignar a quien puede leer la bandeja (null = sin asignar).
+    assign(messageId, userId) {
+      const assignee = userId ? Auth.findById(userId) : null;
+      if (userId && !can(assignee, "messages.read")) throw new Error("Esa persona no tiene acceso a los mensajes.");
+      return Messages.update(messageId, { assigneeId: assignee?.id || null });
+    },
+
+    addNote(messageId, author, text) {
+      const m = Messages.find(messageId);
+      const cleanText = String(text || "").trim();
+      if (!m) throw new Error("El mensaje ya no existe.");
+      if (cleanText.length < 2) throw new Error("Escribe la nota.");
+
+      const note = { id: uid("note"), authorId: author.id, authorName: author.name, text: cleanText, at: nowISO() };
+      Audit.log("message.note", { actor: author, target: Audit.messageTarget(m), after: { text: cleanText } });
+      return Messages.update(messageId, { notes: [...(m.notes || []), note] });
+    },
+
+    // Respuesta al remitente: se envía por email y queda guardada en la conversación.
+    async reply(messageId, author, text) {
+      const m = Messages.find(messageId);
+      const cleanText = String(text || "").trim();
+      if (!m) throw new Error("El mensaje ya no existe.");
+      if (cleanText.length < 2) throw new Error("Escribe la respuesta.");
+
+      const mail = await Mail.send(
+        {
+          to: m.email,
+          subject: `Re: ${m.subject}`,
+          text: `Hola ${m.name},\n\n${cleanText}\n\n— ${author.name} (${CONFIG.appName})\n\n> ${m.body.split("\n").join("\n> ")}`
+        },
+        { transport: CONFIG.support.transport || CONFIG.mail.transport }
+      );
+
+      const reply = {
+        id: uid("rep"),
+        authorId: author.id,
+        authorName: author.name,
+        text: cleanText,
+        at: nowISO(),
+        mailId: mail.id,
+        mailStatus: mail.status
+      };
+
+      // Se relee por si ha cambiado mientras se enviaba el email.
+      const fresh = Messages.find(messageId) || m;
+      const updated = Messages.update(messageId, {
+        replies: [...(fresh.replies || []), reply],
+        status: mail.status === "failed" ? "undelivered" : "answered"
+      });
+
+      Notifications.push(m.userId, {
+        type: "message.reply",
+        title: "Soporte ha respondido",
+        message: shorten(m.subject),
+        link: "index.html#contacto"
+      });
+      return updated;
+    },
+
+    // “No es spam”: sale de la cuarentena.
+    release(messageId) {
+      const m = Messages.find(messageId);
+      if (!m) return;
+
+      Store.update(
+        Keys.messages,
+        (all) => all.map((x) => (x.id === messageId ? { ...x, quarantined: false } : x)),
+        []
+      );
+      Audit.log("message.release", { target: Audit.messageTarget(m), before: { quarantined: true }, after: { quarantined: false } });
+    }
+  };
+
+  /* ==========================================================================
+     7.1) CORREO (OUTBOX LOCAL O ENDPOINT HTTP)
+     - Mail.send() usa el transporte de CONFIG.mail.
+     - Todo lo enviado queda también en Keys.outbox para poder revisarlo.
+     - Si el transporte es de verdad, la copia va sin los secretos (tokens):
+       esos solo viajan en el email.
+  ========================================================================== */
+  const MailTransports = {
+    // Sin servidor: el email solo se guarda en el outbox.
+    outbox() {
+      return {
+        async send() {
+          return "queued";
+        }
+      };
+    },
+
+    http() {
+      const { endpoint, headers } = CONFIG.mail.http;
+      return {
+        async send(msg) {
+          const res = await fetch(endpoint, {
+            method: "POST",
+            headers: { "Content-Type": "application/json", ...headers },
+            body: JSON.stringify({ from: msg.from, to: msg.to, subject: msg.subject, text: msg.text })
+          });
+          if (!res.ok) throw new Error(`El servidor de correo respondió ${res.status}.`);
+          return "sent";
+        }
+      };
+    }
+  };
+
+  const Mail = {
+    list() {
+      return Store.get(Keys.outbox, []).sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+    },
+
+    // transport: para forzar otro transporte que el de CONFIG.mail (ej: soporte).
+    // secrets: textos del email (tokens) que no se guardan en la copia si se envía de verdad.
+    async send({ to, subject, text }, { transport = CONFIG.mail.transport, secrets = [] } = {}) {
+      const msg = {
+        id: uid("mail"),
+        from: CONFIG.mail.from,
+        to: normalizeEmail(to),
+        subject: String(subject || "").trim(),
+        text: String(text || ""),
+        transport,
+        status: "queued",
+        error: null,
+        createdAt: nowISO()
+      };
+
+      try {
+        const factory = MailTransports[transport] || MailTransports.outbox;
+        msg.status = await factory().send(msg);
+      } catch (err) {
+        msg.status = "failed";
+        msg.error = err.message;
+      }
+
+      // Con el outbox local la copia ES la entrega: ahí el texto tiene que ir entero.
+      const local = !MailTransports[transport] || transport === "outbox";
+      const copy = local ? msg : { ...msg, text: Mail.redact(msg.text, secrets) };
+
+      Store.update(Keys.outbox, (all) => [copy, ...all], []);
+      return copy;
+    },
+
+    redact(text, secrets) {
+      return secrets.filter(Boolean).reduce((out, secret) => out.split(secret).join("[oculto]"), text);
+    },
+
+    // URL absoluta a otra página del sitio (los enlaces del email).
+    link(page, params) {
+      const url = new URL(page, window.location.href);
+      Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+      return url.toString();
+    }
+  };
+
+  /* ==========================================================================
+     7.2) TOKENS DE UN SOLO USO (VERIFICAR EMAIL / RESTABLECER CONTRASEÑA)
+     - Solo se guarda el hash; el token en claro viaja únicamente en el email.
+  ========================================================================== */
+  const Tokens = {
+    // extra: datos que viajan con el token (ej: { email } en un cambio de email).
+    async issue(type, userId, ttlMs, extra = {}) {
+      const token = randomHex(32);
+      const record = {
+        ...extra,
+        id: uid("tok"),
+        type,
+        userId,
+        hash: await sha256(token),
+        createdAt: nowISO(),
+        expiresAt: new Date(Date.now() + ttlMs).toISOString(),
+        usedAt: null
+      };
+
+      // Un token nuevo invalida los anteriores del mismo tipo (y se limpian los caducados).
+      Store.update(
+        Keys.tokens,
+        (all) => [
+          record,
+          ...all.filter((t) => !(t.type === type && t.userId === userId) && Date.parse(t.expiresAt) > Date.now())
+        ],
+        []
+      );
+
+      return token;
+    },
+
+    // Devuelve el registro del token si es válido; si no, lanza Error.
+    async check(type, token) {
+      const hash = await sha256(String(token || ""));
+      const record = Store.get(Keys.tokens, []).find((t) => t.type === type && safeEqual(t.hash, hash));
+
+      if (!record || record.usedAt) throw new Error("El enlace no es válido o ya se ha usado.");
+      if (Date.parse(record.expiresAt) < Date.now()) throw new Error("El enlace ha caducado. Pide uno nuevo.");
+      return record;
+    },
+
+    markUsed(record) {
+      Store.update(
+        Keys.tokens,
+        (all) => all.map((t) => (t.id === record.id ? { ...t, usedAt: nowISO() } : t)),
+        []
+      );
+    }
+  };
+
+  /* ==========================================================================
+     7.3) NOTIFICACIONES
+     - { id, userId, type, title, message, link, tab, createdAt, readAt }
+     - tab: pestaña del panel admin a la que pertenece (para su contador).
+     - Los toasts también se guardan aquí (ver UI.toast).
+  ========================================================================== */
+  const Notifications = {
+    list(userId) {
+      return Store.get(Keys.notifications, [])
+        .filter((n) => n.userId === userId)
+        .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+    },
+
+    unread(userId, tab = null) {
+      return Notifications.list(userId).filter((n) => !n.readAt && (!tab || n.tab === tab));
+    },
+
+    push(userId, { type, title, message = "", link = null, tab = null, read = false }) {
+      if (!userId) return null;
+
+      const n = {
+        id: uid("ntf"),
+        userId,
+        type,
+        title: String(title || ""),
+        message: String(message || ""),
+        link,
+        tab,
+        createdAt: nowISO(),
+        readAt: read ? nowISO() : null
+      };
+
+      // Se recortan solo las de ese usuario.
+      Store.update(
+        Keys.notifications,
+        (all) => {
+          const mine = all.filter((x) => x.userId === userId);
+          const drop = new Set(mine.slice(CONFIG.notifications.maxPerUser - 1).map((x) => x.id));
+          return [n, ...all.filter((x) => !drop.has(x.id))];
+        },
+        []
+      );
+      return n;
+    },
+
+    // A todos los que tienen un permiso (ej: moderadores, admins). except: quien lo provoca.
+    pushToPermission(permission, payload, except = null) {
+      Auth.listUsers()
+        .filter((u) => can(u, permission) && u.id !== except)
+        .forEach((u) => Notifications.push(u.id, payload));
+    },
+
+    markRead(userId, filter = () => true) {
+      Store.update(
+        Keys.notifications,
+        (all) => all.map((n) => (n.userId === userId && !n.readAt && filter(n) ? { ...n, readAt: nowISO() } : n)),
+        []
+      );
+    },
+
+    clear(userId) {
+      Store.update(Keys.notifications, (all) => all.filter((n) => n.userId !== userId), []);
+    }
+  };
+
+  /* ==========================================================================
+     8) RÉCORDS (SCORES)
+     - Se guardan por usuario. Si no hay sesión, se puede jugar igualmente,
+       pero no se guarda el récord.
+  ========================================================================== */
+  const Scores = {
+    getAll() {
+      return Store.get(Keys.scores, {});
+    },
+
+    getUser(userId) {
+      const all = Scores.getAll();
+      return all[userId] || {};
+    },
+
+    updateUser(userId, updater) {
+      return Store.update(
+        Keys.scores,
+        (all) => {
+          const current = all[userId] || {};
+          const next = updater(current);
+          return { ...all, [userId]: next };
+        },
+        {}
+      );
+    },
+
+    // “Más alto es mejor” (ej: racha, puntos).
+    updateBestHigher(userId, gameId, key, value) {
+      let improved = false;
+
+      Scores.updateUser(userId, (userScores) => {
+        const prev = userScores[gameId]?.[key];
+
+        if (typeof prev !== "number" || value > prev) improved = true;
+
+        return {
+          ...userScores,
+          [gameId]: {
+            ...(userScores[gameId] || {}),
+            [key]: typeof prev !== "number" ? value : Math.max(prev, value),
+            updatedAt: nowISO()
+          }
+        };
+      });
+
+      return improved;
+    },
+
+    // “Más bajo es mejor” (ej: ms, intentos, movimientos).
+    updateBestLower(userId, gameId, key, value) {
+      let improved = false;
+
+      Scores.updateUser(userId, (userScores) => {
+        const prev = userScores[gameId]?.[key];
+
+        if (typeof prev !== "number" || value < prev) improved = true;
+
+        return {
+          ...userScores,
+          [gameId]: {
+            ...(userScores[gameId] || {}),
+            [key]: typeof prev !== "number" ? value : Math.min(prev, value),
+            updatedAt: nowISO()
+          }
+        };
+      });
+
+      return improved;
+    },
+
+    removeUser(userId) {
+      Store.update(
+        Keys.scores,
+        (all) => {
+          const { [userId]: _removed, ...rest } = all;
+          return rest;
+        },
+        {}
+      );
+    },
+
+    formatMs(ms) {
+      const s = (ms / 1000);
+      return `${s.toFixed(3)}s`;
+    },
+
+    bestLabelForUser(userId) {
+      const s = Scores.getUser(userId);
+
+      // Prioridad: reacción → adivina → memory → whack → rps
+      if (typeof s.reaction?.bestMs === "number") return `⚡ ${Scores.formatMs(s.reaction.bestMs)}`;
+      if (typeof s.guess?.bestAttempts === "number") return `🎯 ${s.guess.bestAttempts} intentos`;
+      if (typeof s.memory?.bestMoves === "number") return `🧠 ${s.memory.bestMoves} movimientos`;
+      if (typeof s.whack?.bestScore === "number") return `👾 ${s.whack.bestScore} puntos`;
+      if (typeof s.rps?.bestStreak === "number") return `🪨 ${s.rps.bestStreak} racha`;
+
+      return "—";
+    }
+  };
+
+  /* ==========================================================================
+     8.1) COPIAS DE SEGURIDAD (EXPORTAR / IMPORTAR)
+     - La copia incluye usuarios, comentarios, mensajes, récords y UI
+       (nunca la sesión) junto a la versión del esquema.
+     - Al importar: se valida la forma, se migra si es antigua y se
+       calcula una vista previa antes de escribir nada.
+  ========================================================================== */
+  const BACKUP_FORMAT = 1;
+
+  const Backup = {
+    create() {
+      return {
+        app: CONFIG.appName,
+        format: BACKUP_FORMAT,
+        schemaVersion: Migrations.currentVersion(),
+        exportedAt: nowISO(),
+        data: {
+          users: Auth.listUsers(),
+          comments: Comments.listAll(),
+          messages: Store.get(Keys.messages, []),
+          scores: Scores.getAll(),
+          ui: Store.get(Keys.ui, {})
+        }
+      };
+    },
+
+    download() {
+      const backup = Backup.create();
+      downloadJson(`${CONFIG.appName.toLowerCase()}-backup-${backup.exportedAt.slice(0, 10)}.json`, backup);
+    },
+
+    // Comprueba la forma de la copia. Lanza Error con un mensaje legible.
+    validate(backup) {
+      const isObj = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+      const isStr = (v) => typeof v === "string" && v.length > 0;
+
+      if (!isObj(backup)) throw new Error("El archivo no contiene una copia válida.");
+      if (backup.format !== BACKUP_FORMAT) throw new Error("Formato de copia no soportado.");
+      if (!Number.isInteger(backup.schemaVersion) || backup.schemaVersion < 0) {
+        throw new Error("La copia no indica una versión de esquema válida.");
+      }
+      if (backup.schemaVersion > Migrations.latestVersion()) {
+        throw new Error("La copia es de una versión más nueva de la web.");
+      }
+
+      const data = backup.data;
+      if (!isObj(data)) throw new Error("La copia no contiene datos.");
+
+      const checkList = (name, required) => {
+        const list = data[name] ?? [];
+        if (!Array.isArray(list)) throw new Error(`"${name}" debe ser una lista.`);
+        list.forEach((item, i) => {
+          if (!isObj(item)) throw new Error(`"${name}" tiene un elemento inválido (posición ${i + 1}).`);
+          required.forEach((field) => {
+            if (!isStr(item[field])) throw new Error(`"${name}" #${i + 1}: falta "${field}".`);
+          });
+        });
+      };
+
+      checkList("users", ["id", "email", "salt", "passHash"]);
+      checkList("comments", ["id", "text"]);
+      checkList("messages", ["id", "email"]);
+
+      // authorId es null en los comentarios anonimizados de cuentas borradas.
+      (data.comments || []).forEach((c, i) => {
+        if (c.authorId !== null && !isStr(c.authorId)) throw new Error(`"comments" #${i + 1}: falta "authorId".`);
+        if (c.parentId != null && !isStr(c.parentId)) throw new Error(`"comments" #${i + 1}: "parentId" inválido.`);
+      });
+
+      if (data.scores !== undefined && !isObj(data.scores)) throw new Error(`"scores" debe ser un objeto.`);
+      if (data.ui !== undefined && !isObj(data.ui)) throw new Error(`"ui" debe ser un objeto.`);
+
+      const emails = new Set();
+      (data.users || []).forEach((u) => {
+        const e = normalizeEmail(u.email);
+        if (emails.has(e)) throw new Error(`Email duplicado en la copia: ${e}`);
+        emails.add(e);
+      });
+
+      return true;
+    },
+
+    // Lee el texto de un archivo, valida y migra. Devuelve los datos listos para importar.
+    async parse(text) {
+      const backup = safeParse(text, null);
+      Backup.validate(backup);
+
+      const { data } = await Migrations.apply(backup.data, backup.schemaVersion);
+      return {
+        exportedAt: backup.exportedAt || null,
+        data: {
+          users: data.users || [],
+          comments: data.comments || [],
+          messages: data.messages || [],
+          scores: data.scores || {},
+          ui: data.ui || {}
+        }
+      };
+    },
+
+    // Resultado de aplicar la copia sobre los datos actuales (sin escribir).
+    // mode: "merge" (añade/actualiza por id) | "replace" (sustituye todo).
+    plan(incoming, mode) {
+      const current = Backup.create().data;
+
+      const mergeList = (list, cur) => {
+        if (mode === "replace") return list;
+        const byId = new Map(cur.map((x) => [x.id, x]));
+        list.forEach((x) => byId.set(x.id, x));
+        return Array.from(byId.values());
+      };
+
+      // Usuarios: en merge, no se importa un email que ya use otra cuenta local.
+      // Tampoco sus comentarios ni récords (quedarían huérfanos); las respuestas suben un nivel.
+      const conflicts = [];
+      const skipped = new Set();
+      let users = incoming.users;
+      if (mode === "merge") {
+        users = incoming.users.filter((u) => {
+          const local = current.users.find((x) => x.email === normalizeEmail(u.email));
+          if (local && local.id !== u.id) {
+            conflicts.push(u.email);
+            skipped.add(u.id);
+            return false;
+          }
+          return true;
+        });
+      }
+
+      const comments = dropComments(
+        incoming.comments,
+        new Set(incoming.comments.filter((c) => skipped.has(c.authorId)).map((c) => c.id))
+      );
+      const scores = Object.fromEntries(Object.entries(incoming.scores).filter(([id]) => !skipped.has(id)));
+
+      const next = {
+        users: mergeList(users, current.users),
+        comments: mergeList(comments, current.comments),
+        messages: mergeList(incoming.messages, current.messages),
+        scores: mode === "replace" ? scores : { ...current.scores, ...scores },
+        ui: mode === "replace" ? incoming.ui : { ...current.ui, ...incoming.ui }
+      };
+
+      // JSON con las keys ordenadas (el orden de las propiedades no cuenta como cambio).
+      const canonical = (v) => JSON.stringify(v, (key, val) =>
+        val && typeof val === "object" && !Array.isArray(val)
+          ? Object.fromEntries(Object.keys(val).sort().map((x) => [x, val[x]]))
+          : val
+      );
+
+      // Resumen por colección: añadidos / modificados / eliminados.
+      const diff = (cur, nxt) => {
+        const a = new Map(Object.entries(cur));
+        const b = new Map(Object.entries(nxt));
+        const out = { added: 0, updated: 0, removed: 0 };
+        b.forEach((v, key) => {
+          if (!a.has(key)) out.added++;
+          else if (canonical(a.get(key)) !== canonical(v)) out.updated++;
+        });
+        a.forEach((_, key) => { if (!b.has(key)) out.removed++; });
+        return out;
+      };
+      const byId = (list) => Object.fromEntries(list.map((x) => [x.id, x]));
+
+      const summary = {
+        users: diff(byId(current.users), byId(next.users)),
+        comments: diff(byId(current.comments), byId(next.comments)),
+        messages: diff(byId(current.messages), byId(next.messages)),
+        scores: diff(current.scores, next.scores),
+        ui: diff(current.ui, next.ui)
+      };
+
+      const me = Auth.currentUser();
+      const keepsMe = !!me && next.users.some((u) => u.id === me.id && can(u, "data.manage"));
+
+      return { mode, data: next, summary, conflicts, keepsMe };
+    },
+
+    apply(plan) {
+      Migrations.write(plan.data);
+      Store.set(Keys.schema, { version: Migrations.latestVersion(), migratedAt: nowISO() });
+    }
+  };
+
+  /* ==========================================================================
+     8.2) CUENTA (MIS DATOS + BAJA)
+     - Exportación de los datos personales de un usuario (sin hashes ni secretos).
+     - Borrado en cascada: sesiones, enlaces, intentos, récords y comentarios
+       (según CONFIG.accountDeletion). Lo usan el perfil y el panel admin.
+  ========================================================================== */
+  const PERSONAL_DATA_FORMAT = 1;
+
+  const Account = {
+    // Perfil sin salt/hash de contraseña, frase ni secreto TOTP.
+    publicProfile(user) {
+      const {
+        salt, passHash, passAlgo, recoverySalt, recoveryHash, recoveryAlgo, totp,
+        ...profile
+      } = user;
+
+      return { ...profile, twoFactorEnabled: !!totp?.enabledAt };
+    },
+
+    exportData(userId) {
+      const user = Auth.findById(userId);
+      if (!user) throw new Error("La cuenta ya no existe.");
+
+      return {
+        format: "gamezone-personal-data",
+        formatVersion: PERSONAL_DATA_FORMAT,
+        exportedAt: nowISO(),
+        profile: Account.publicProfile(user),
+        comments: Comments.listByAuthor(user.id),
+        reactions: Comments.reactionsBy(user.id),
+        reports: Comments.reportsBy(user.id),
+        notifications: Notifications.list(user.id),
+        scores: Scores.getUser(user.id),
+        // Las enviadas con su sesión y las enviadas desde su email (si lo tiene verificado).
+        // Las notas internas y la asignación son del equipo de soporte, no del usuario.
+        messages: Messages.list()
+          .filter((m) => m.userId === user.id || (!!user.emailVerifiedAt && m.email === user.email))
+          .map(({ notes, assigneeId, ...m }) => m),
+        sessions: Sessions.listForUser(user.id).map(({ id, createdAt, lastSeenAt, remember }) => ({
+          id, createdAt, lastSeenAt, remember
+        }))
+      };
+    },
+
+    download(userId) {
+      const data = Account.exportData(userId);
+      downloadJson(`${CONFIG.appName.toLowerCase()}-mis-datos-${data.exportedAt.slice(0, 10)}.json`, data);
+    },
+
+    // Qué pasa con los datos (para los mensajes de confirmación).
+    deletionSummary(own = false) {
+      const his = own ? "tus" : "sus";
+      return CONFIG.accountDeletion.comments === "anonymize"
+        ? `Se borran ${his} récords y comentarios pendientes; los publicados quedan como “Usuario eliminado”.`
+        : `Se borran también ${his} récords y todos ${his} comentarios.`;
+    },
+
+    // Borra al usuario y todo lo que cuelga de él.
+    purge(userId) {
+      const user = Auth.findById(userId);
+      if (!user) return false;
+
+      Sessions.revokeOthers(user.id, null);
+      Store.update(Keys.tokens, (all) => all.filter((t) => t.userId !== user.id), []);
+      Throttle.unlock(user.email);
+      Comments.purgeAuthor(user.id);
+      Comments.removeReactionsBy(user.id);
+      Comments.removeReportsBy(user.id);
+      Notifications.clear(user.id);
+      Scores.removeUser(user.id);
+
+      Auth.saveUsers(Auth.listUsers().filter((u) => u.id !== user.id));
+      return true;
+    },
+
+    // Baja desde el perfil (pide la contraseña actual).
+    async deleteOwn(userId, currentPassword) {
+      const user = Auth.findById(userId);
+      if (!user) throw new Error("La cuenta ya no existe.");
+
+      const managers = Auth.listUsers().filter((u) => can(u, "users.manage"));
+      if (can(user, "users.manage") && managers.length === 1) {
+        throw new Error("Eres el único administrador: da el rol a otra cuenta antes de borrar la tuya.");
+      }
+
+      await Auth.confirmPassword(user, currentPassword);
+
+      Audit.log("account.delete", { actor: user, target: Audit.userTarget(user), before: Account.publicProfile(user) });
+      Auth.logout("deleted");
+      Account.purge(user.id);
+      return true;
+    }
+  };
+
+  /* ==========================================================================
+     9) UI (TOASTS, MODALES, NAV, TEMA, ANIMACIONES)
+  ========================================================================== */
+  const UI = {
+    toastWrap() {
+      let el = $("#toastWrap");
+      if (!el) {
+        el = document.createElement("div");
+        el.id = "toastWrap";
+        el.className = "toastWrap";
+        document.body.appendChild(el);
+      }
+      return el;
+    },
+
+    // record: false → no se guarda en el centro de notificaciones.
+    toast({ title, message, record = true }) {
+      const wrap = UI.toastWrap();
+
+      // Basta con saber de quién es la sesión (sin validarla).
+      const userId = Auth.currentSession()?.userId;
+      if (record && userId) {
+        Notifications.push(userId, { type: "toast", title, message, read: !CONFIG.notifications.toastsUnread });
+        UI.renderNotifications();
+      }
+
+      const toast = document.createElement("div");
+      toast.className = "toast";
+
+      const b = document.createElement("b");
+      b.textContent = title;
+
+      const span = document.createElement("span");
+      span.textContent = message;
+
+      toast.appendChild(b);
+      toast.appendChild(span);
+      wrap.appendChild(toast);
+
+      setTimeout(() => toast.remove(), 3500);
+    },
+
+    // Toast + notificación sin leer (ej: nuevo récord).
+    notify({ type, title, message, link = null }) {
+      Notifications.push(Auth.currentSession()?.userId, { type, title, message, link });
+      UI.toast({ title, message, record: false });
+      UI.renderNotifications();
+    },
+
+    // Campana del menú + contadores de las pestañas del panel admin.
+    renderNotifications() {
+      const user = Auth.currentUser();
+      const unread = user ? Notifications.unread(user.id) : [];
+
+      const badge = $("#notifBadge");
+      if (badge) {
+        badge.textContent = unread.length > 99 ? "99+" : String(unread.length);
+        badge.classList.toggle("is-hidden", unread.length === 0);
+      }
+
+      $$("[data-tab]").forEach((btn) => {
+        const count = unread.filter((n) => n.tab === btn.getAttribute("data-tab")).length;
+        let tabBadge = $(".tabBadge", btn);
+        if (!tabBadge) {
+          tabBadge = document.createElement("span");
+          tabBadge.className = "notifBadge tabBadge";
+          btn.appendChild(tabBadge);
+        }
+        tabBadge.textContent = String(count);
+        tabBadge.classList.toggle("is-hidden", count === 0);
+      });
+
+      const list = $("#notifList");
+      if (!list) return;
+
+      const all = user ? Notifications.list(user.id) : [];
+      list.innerHTML = all.length
+        ? all
+            .map(
+              (n) => `
+                <button class="notif__item${n.readAt ? "" : " is-unread"}" data-notif-id="${n.id}" type="button">
+                  <b>${escapeHtml(n.title)}</b>
+                  ${n.message ? `<span>${escapeHtml(n.message)}</span>` : ""}
+                  <small>${escapeHtml(formatDate(n.createdAt))}</small>
+                </button>
+              `
+            )
+            .join("")
+        : `<p class="muted notif__empty">No tienes notificaciones.</p>`;
+    },
+
+    bindNotifications() {
+      const panel = $("#notifPanel");
+      if (!panel) return;
+
+      const user = () => Auth.currentUser();
+
+      $("#notifBtn")?.addEventListener("click", (ev) => {
+        ev.stopPropagation();
+        const open = panel.classList.toggle("is-hidden") === false;
+        $("#notifBtn").setAttribute("aria-expanded", String(open));
+        if (open) UI.renderNotifications();
+      });
+
+      // Click fuera → se cierra.
+      document.addEventListener("click", (ev) => {
+        if (!panel.classList.contains("is-hidden") && !ev.target.closest(".notif")) {
+          panel.classList.add("is-hidden");
+          $("#notifBtn")?.setAttribute("aria-expanded", "false");
+        }
+      });
+
+      panel.addEventListener("click", async (ev) => {
+        const u = user();
+        if (!u) return;
+
+        if (ev.target.closest("#notifReadAll")) {
+          Notifications.markRead(u.id);
+          UI.renderNotifications();
+          return;
+        }
+
+        if (ev.target.closest("#notifClear")) {
+          const ok = await UI.confirm({
+            title: "Vaciar notificaciones",
+            message: "¿Borrar todas tus notificaciones?",
+            okText: "Vaciar"
+          });
+          if (!ok) return;
+
+          Notifications.clear(u.id);
+          UI.renderNotifications();
+          return;
+        }
+
+        const item = ev.target.closest("[data-notif-id]");
+        if (!item) return;
+
+        const n = Notifications.list(u.id).find((x) => x.id === item.getAttribute("data-notif-id"));
+        Notifications.markRead(u.id, (x) => x.id === n?.id);
+        UI.renderNotifications();
+
+        if (n?.link && (await UI.saved())) window.location.href = n.link;
+      });
+    },
+
+    // Modal de confirmación (usa el modal HTML si existe, si no usa confirm()).
+    // Antes de cambiar de página: true si todo quedó guardado; si no, avisa (y hay que quedarse).
+    async saved() {
+      try {
+        await Store.flush();
+        return true;
+      } catch (err) {
+        UI.toast({ title: "Error", message: err.message });
+        return false;
+      }
+    },
+
+    // Cierre del confirm abierto (lo usan ✕ y Escape para darlo por cancelado).
+    modalClose: null,
+
+    confirm({ title, message, okText = "Aceptar", cancelText = "Cancelar" }) {
+      // Si había otro abierto, queda cancelado.
+      UI.dismissModal();
+
+      return new Promise((resolve) => {
+        const modal = $("#modal");
+        const titleEl = $("#modalTitle");
+        const textEl = $("#modalText");
+        const btnOk = $("#modalOk");
+        const btnCancel = $("#modalCancel");
+
+        if (!modal || !titleEl || !textEl || !btnOk || !btnCancel) {
+          resolve(confirm(message));
+          return;
+        }
+
+        titleEl.textContent = title;
+        textEl.textContent = message;
+        btnOk.textContent = okText;
+        btnCancel.textContent = cancelText;
+
+        const close = (value) => {
+          modal.classList.remove("is-open");
+          modal.setAttribute("aria-hidden", "true");
+          btnOk.onclick = null;
+          btnCancel.onclick = null;
+          UI.modalClose = null;
+          resolve(value);
+        };
+
+        btnOk.onclick = () => close(true);
+        btnCancel.onclick = () => close(false);
+        UI.modalClose = close;
+
+        modal.classList.add("is-open");
+        modal.setAttribute("aria-hidden", "false");
+      });
+    },
+
+    // ✕ / Escape: cancela el confirm abierto (o solo oculta el modal si no hay ninguno).
+    dismissModal() {
+      if (UI.modalClose) {
+        UI.modalClose(false);
+        return;
+      }
+
+      const modal = $("#modal");
+      if (modal?.classList.contains("is-open")) {
+        modal.classList.remove("is-open");
+        modal.setAttribute("aria-hidden", "true");
+      }
+    },
+
+    // confirm() con un control extra bajo el texto. Devuelve read(extra) si se acepta
+    // o null si se cancela. El control se quita al cerrar, sea por donde sea.
+    async confirmWith(extra, { title, message, okText, cancelText }, read) {
+      $("#modalText").after(extra);
+      // El foco va al campo en sí (en confirmOption, extra es el <label> que envuelve la casilla).
+      const field = extra.matches("input, select, textarea") ? extra : $("input, select, textarea", extra);
+      setTimeout(() => field?.focus());
+
+      try {
+        const ok = await UI.confirm({ title, message, okText, cancelText });
+        return ok ? read(extra) : null;
+      } finally {
+        extra.remove();
+      }
+    },
+
+    // Como confirm() pero con un campo de texto. Devuelve el texto o null si se cancela.
+    prompt({ title, message, placeholder = "", okText = "Aceptar", cancelText = "Cancelar" }) {
+      if (!$("#modalText")) return Promise.resolve(window.prompt(message));
+
+      const field = document.createElement("textarea");
+      field.className = "input";
+      field.rows = 3;
+      field.placeholder = placeholder;
+      field.style.marginTop = "12px";
+
+      return UI.confirmWith(field, { title, message, okText, cancelText }, () => field.value);
+    },
+
+    // Elegir una opción de una lista ([valor, texto]). Devuelve el valor o null si se cancela.
+    choose({ title, message, options, okText = "Aceptar", cancelText = "Cancelar" }) {
+      if (!$("#modalText")) return Promise.resolve(window.confirm(message) ? options[0][0] : null);
+
+      const select = document.createElement("select");
+      select.className = "input";
+      select.style.marginTop = "12px";
+      fillSelect(select, options);
+
+      return UI.confirmWith(select, { title, message, okText, cancelText }, () => select.value);
+    },
+
+    // Confirmación con una casilla extra. Devuelve true/false (casilla) o null si se cancela.
+    confirmOption({ title, message, option, checked = false, okText = "Aceptar", cancelText = "Cancelar" }) {
+      if (!$("#modalText")) return Promise.resolve(window.confirm(message) ? checked : null);
+
+      const label = document.createElement("label");
+      label.className = "help";
+      label.style.display = "block";
+      label.style.marginTop = "12px";
+      label.innerHTML = `<input type="checkbox" ${checked ? "checked" : ""}> <span>${escapeHtml(option)}</span>`;
+
+      return UI.confirmWith(label, { title, message, okText, cancelText }, () => $("input", label).checked);
+    },
+
+    openGameModal({ title, subtitle, contentEl }) {
+      const modal = $("#gameModal");
+      const titleEl = $("#gameTitle");
+      const subEl = $("#gameSubtitle");
+      const content = $("#gameContent");
+
+      if (!modal || !titleEl || !subEl || !content) return;
+
+      titleEl.textContent = title;
+      subEl.textContent = subtitle;
+
+      content.innerHTML = "";
+      content.appendChild(contentEl);
+
+      modal.classList.add("is-open");
+      modal.setAttribute("aria-hidden", "false");
+    },
+
+    // La sesión caducó o fue revocada: aviso + vuelta al login (una sola vez).
+    expiredNotified: false,
+
+    // reason: "expired" (caducada o revocada) | "suspended" (cuenta suspendida).
+    sessionExpired(reason = "expired") {
+      if (UI.expiredNotified) return;
+      UI.expiredNotified = true;
+
+      UI.closeGameModal();
+      UI.toast(UI.sessionEndedToast(reason));
+
+      if (document.body.dataset.page !== "login") window.location.href = `login.html?${reason}=1`;
+    },
+
+    sessionEndedToast(reason) {
+      return reason === "suspended"
+        ? { title: "Cuenta suspendida", message: "Se ha cerrado tu sesión. Al entrar verás el motivo." }
+        : { title: "Sesión caducada", message: "Vuelve a iniciar sesión para continuar." };
+    },
+
+    closeGameModal() {
+      const modal = $("#gameModal");
+      const content = $("#gameContent");
+      if (!modal) return;
+
+      modal.classList.remove("is-open");
+      modal.setAttribute("aria-hidden", "true");
+
+      if (content) content.innerHTML = "";
+    },
+
+    updateNav() {
+      const user = Auth.currentUser();
+
+      // Elementos que dependen de sesión.
+      const loggedInOnly = $$('[data-auth="loggedInOnly"]');
+      const loggedOutOnly = $$('[data-auth="loggedOutOnly"]');
+
+      loggedInOnly.forEach((el) => el.classList.toggle("is-hidden", !user));
+      loggedOutOnly.forEach((el) => el.classList.toggle("is-hidden", !!user));
+
+      // Elementos que dependen de un permiso (ej: link al panel, pestañas del panel).
+      $$("[data-permission]").forEach((el) => {
+        el.classList.toggle("is-hidden", !can(user, el.getAttribute("data-permission")));
+      });
+
+      // Badge “usuario”.
+      const navUser = $("#navUser");
+      if (navUser) {
+        if (user) {
+          navUser.textContent = user.role === "user" ? `👤 ${user.name}` : `👤 ${user.name} • ${roleLabel(user.role)}`;
+          navUser.classList.remove("is-hidden");
+        } else {
+          navUser.classList.add("is-hidden");
+        }
+      }
+
+      UI.renderNotifications();
+    },
+
+    // Medidor de fuerza + checklist bajo un campo de contraseña.
+    // personal() devuelve { name, email } para la regla de datos personales.
+    bindPasswordMeter(input, meter, personal = () => ({}), extraInputs = []) {
+      if (!input || !meter) return;
+
+      const render = () => {
+        const result = Password.evaluate(input.value, personal());
+
+        if (!input.value) {
+          meter.innerHTML = "";
+          return;
+        }
+
+        meter.innerHTML = `
+          <div class="pwMeter__row">
+            <div class="pwMeter__bar"><span data-score="${result.score}" style="width:${(result.score + 1) * 20}%"></span></div>
+            <span class="pwMeter__label">${escapeHtml(result.label)}</span>
+          </div>
+          <ul class="pwChecklist">
+            ${result.checks.map((c) => `<li class="${c.ok ? "is-ok" : ""}">${escapeHtml(c.label)}</li>`).join("")}
+          </ul>
+        `;
+      };
+
+      [input, ...extraInputs].forEach((el) => el?.addEventListener("input", render));
+      render();
+    },
+
+    initTheme() {
+      const ui = Store.get(Keys.ui, { theme: "dark" });
+      document.documentElement.setAttribute("data-theme", ui.theme);
+
+      const icon = $("#themeIcon");
+      if (icon) icon.textContent = ui.theme === "light" ? "☀" : "☾";
+    },
+
+    toggleTheme() {
+      const current = document.documentElement.getAttribute("data-theme") || "dark";
+      const next = current === "dark" ? "light" : "dark";
+
+      document.documentElement.setAttribute("data-theme", next);
+      Store.update(Keys.ui, (ui) => ({ ...ui, theme: next }), { theme: "dark" });
+
+      const icon = $("#themeIcon");
+      if (icon) icon.textContent = next === "light" ? "☀" : "☾";
+    },
+
+    initReveal() {
+      const els = $$(".reveal");
+      if (!("IntersectionObserver" in window) || els.length === 0) {
+        els.forEach((el) => el.classList.add("is-visible"));
+        return;
+      }
+
+      const obs = new IntersectionObserver(
+        (entries) => {
+          entries.forEach((e) => {
+            if (e.isIntersecting) {
+              e.target.classList.add("is-visible");
+              obs.unobserve(e.target);
+            }
+          });
+        },
+        { threshold: 0.12 }
+      );
+
+      els.forEach((el) => obs.observe(el));
+    },
+
+    initRipple() {
+      document.addEventListener("click", (ev) => {
+        const btn = ev.target.closest(".btn");
+        if (!btn) return;
+
+        const rect = btn.getBoundingClientRect();
+        const size = Math.max(rect.width, rect.height);
+        const x = ev.clientX - rect.left - size / 2;
+        const y = ev.clientY - rect.top - size / 2;
+
+        const ripple = document.createElement("span");
+        ripple.className = "ripple";
+        ripple.style.width = ripple.style.height = `${size}px`;
+        ripple.style.left = `${x}px`;
+        ripple.style.top = `${y}px`;
+
+        btn.appendChild(ripple);
+        ripple.addEventListener("animationend", () => ripple.remove());
+      });
+    },
+
+    toggleMenu() {
+      const links = $("#navLinks");
+      if (!links) return;
+      links.classList.toggle("is-open");
+    },
+
+    bindCommon() {
+      // Footer: año
+      const y = $("#yearNow");
+      if (y) y.textContent = String(yearNow());
+
+      // Clicks globales por data-action
+      document.addEventListener("click", async (ev) => {
+        const el = ev.target.closest("[data-action]");
+        if (!el) return;
+
+        const action = el.getAttribute("data-action");
+
+        if (action === "toggleTheme") UI.toggleTheme();
+
+        if (action === "toggleMenu") UI.toggleMenu();
+
+        if (action === "closeModal") UI.dismissModal();
+
+        if (action === "closeGame") UI.closeGameModal();
+
+        if (action === "logout") {
+          const ok = await UI.confirm({
+            title: "Cerrar sesión",
+            message: "¿Seguro que quieres cerrar sesión?"
+          });
+
+          if (!ok) return;
+
+          Auth.logout();
+          UI.updateNav();
+          if (!(await UI.saved())) return;
+          UI.toast({ title: "Sesión cerrada", message: "Has salido correctamente." });
+
+          // Si estamos en admin, volvemos al inicio
+          if (document.body.dataset.page === "admin") window.location.href = "index.html";
+        }
+
+        if (action === "openGame") {
+          const gameId = el.getAttribute("data-game");
+          if (gameId) Games.open(gameId);
+        }
+
+        if (action === "revokeSession") {
+          // Solo una sesión propia (el id llega del DOM).
+          const user = Auth.currentUser();
+          const session = Sessions.find(el.getAttribute("data-session-id"));
+          if (!user || session?.userId !== user.id) return;
+
+          const ok = await UI.confirm({
+            title: "Cerrar sesión",
+            message: "¿Cerrar la sesión en ese dispositivo?"
+          });
+          if (!ok) return;
+
+          Sessions.revoke(session.id);
+          UI.toast({ title: "Listo", message: "Sesión cerrada en ese dispositivo." });
+          Home.renderSessions();
+        }
+
+        if (action.startsWith("tfa")) await Home.twoFactorAction(action);
+
+        if (action === "revokeOtherSessions") {
+          const session = Auth.currentSession();
+          if (!session) return;
+
+          const ok = await UI.confirm({
+            title: "Cerrar las demás sesiones",
+            message: "Se cerrará tu cuenta en todos los demás dispositivos y navegadores."
+          });
+          if (!ok) return;
+
+          Sessions.revokeOthers(session.userId, session.id);
+          UI.toast({ title: "Listo", message: "Solo queda abierta esta sesión." });
+          Home.renderSessions();
+        }
+      });
+
+      // Cerrar modales con Escape
+      document.addEventListener("keydown", (ev) => {
+        if (ev.key !== "Escape") return;
+
+        UI.dismissModal();
+
+        const gameModal = $("#gameModal");
+        if (gameModal?.classList.contains("is-open")) UI.closeGameModal();
+      });
+
+      // Cerrar el modal de juego si se hace click en el fondo oscuro
+      const gameModal = $("#gameModal");
+      if (gameModal) {
+        gameModal.addEventListener("click", (ev) => {
+          if (ev.target === gameModal) UI.closeGameModal();
+        });
+      }
+
+      // Comprobación periódica: si la sesión caduca con la pestaña abierta, se avisa.
+      // También se levantan las suspensiones que terminan.
+      window.setInterval(() => {
+        Suspensions.sweep();
+        Auth.checkSession();
+      }, MINUTE);
+
+      // Actividad del usuario: mantiene viva la sesión (touch escribe como mucho una vez por minuto).
+      ["click", "keydown"].forEach((type) =>
+        document.addEventListener(type, () => Auth.checkSession(), { passive: true })
+      );
+
+      UI.initTheme();
+      UI.initReveal();
+      UI.initRipple();
+      UI.updateNav();
+    }
+  };
+
+  /* ==========================================================================
+     10) MINI‑JUEGOS
+     - Cada juego devuelve un elemento DOM listo para insertarse en el modal.
+  ========================================================================== */
+  const MiniGames = {
+    // ----------------------------------------------------------
+    // 10.1) Roca / Papel / Tijera
+    // ----------------------------------------------------------
+    rps(game, user) {
+      const root = document.createElement("div");
+      root.className = "gameWrap";
+
+      let wins = 0;
+      let losses = 0;
+      let ties = 0;
+
+      let streak = 0;
+      let bestStreak = 0;
+
+      const hud = document.createElement("div");
+      hud.className = "gameHud";
+      hud.innerHTML = `
+        <span class="hudStat">🏆 Racha: <span id="rpsStreak">0</span></span>
+        <span class="hudStat">✅ <span id="rpsWins">0</span></span>
+        <span class="hudStat">➖ <span id="rpsTies">0</span></span>
+        <span class="hudStat">❌ <span id="rpsLoss">0</span></span>
+      `;
+
+      const panel = document.createElement("div");
+      panel.className = "gamePanel";
+      panel.innerHTML = `
+        <p class="muted" style="margin:0 0 12px;">
+          Elige una opción. Si ganas, tu racha sube. Si pierdes, vuelve a 0.
+        </p>
+
+        <div class="rpsChoices">
+          <button class="rpsBtn" data-pick="rock" type="button"><b>🪨</b><span>Piedra</span></button>
+          <button class="rpsBtn" data-pick="paper" type="button"><b>📄</b><span>Papel</span></button>
+          <button class="rpsBtn" data-pick="scissors" type="button"><b>✂️</b><span>Tijera</span></button>
+        </div>
+
+        <div class="spacer"></div>
+
+        <div class="guessHint" id="rpsResult">Haz tu primera jugada.</div>
+      `;
+
+      const setHud = () => {
+        $("#rpsWins", root).textContent = String(wins);
+        $("#rpsTies", root).textContent = String(ties);
+        $("#rpsLoss", root).textContent = String(losses);
+        $("#rpsStreak", root).textContent = String(streak);
+      };
+
+      const winMap = {
+        rock: "scissors",
+        paper: "rock",
+        scissors: "paper"
+      };
+
+      panel.addEventListener("click", (ev) => {
+        const btn = ev.target.closest("[data-pick]");
+        if (!btn) return;
 
         const pick = btn.getAttribute("data-pick");
         const cpu = ["rock", "paper", "scissors"][Math.floor(Math.random() * 3)];
 
-        let result = "";
-        if (pick === cpu) {
-          ties++;
-          streak = 0;
-          result = `Empate 🤝 — ambos elegisteis ${labelPick(cpu)}.`;
-        } else if (winMap[pick] === cpu) {
-          wins++;
-          streak++;
-          bestStreak = Math.max(bestStreak, streak);
-          result = `¡Ganaste! ✅ — ${labelPick(pick)} vence a ${labelPick(cpu)}.`;
+        let result = "";
+        if (pick === cpu) {
+          ties++;
+          streak = 0;
+          result = `Empate 🤝 — ambos elegisteis ${labelPick(cpu)}.`;
+        } else if (winMap[pick] === cpu) {
+          wins++;
+          streak++;
+          bestStreak = Math.max(bestStreak, streak);
+          result = `¡Ganaste! ✅ — ${labelPick(pick)} vence a ${labelPick(cpu)}.`;
+
+          // Guardar mejor racha (si hay usuario).
+          if (user) {
+            const improved = Scores.updateBestHigher(user.id, "rps", "bestStreak", bestStreak);
+            if (improved) {
+              UI.notify({ type: "record", title: "Nuevo récord", message: `Racha máxima: ${bestStreak}` });
+              Home.updateBestStat();
+            }
+          }
+        } else {
+          losses++;
+          streak = 0;
+          result = `Perdiste ❌ — ${labelPick(cpu)} vence a ${labelPick(pick)}.`;
+        }
+
+        $("#rpsResult", root).textContent = result;
+        setHud();
+      });
+
+      root.appendChild(hud);
+      root.appendChild(panel);
+      setHud();
+
+      if (!user) {
+        const tip = document.createElement("div");
+        tip.className = "help";
+        tip.textContent = "Inicia sesión para guardar tu mejor racha.";
+        root.appendChild(tip);
+      }
+
+      return root;
+    },
+
+    // ----------------------------------------------------------
+    // 10.2) Adivina el número
+    // ----------------------------------------------------------
+    guess(game, user) {
+      const root = document.createElement("div");
+      root.className = "gameWrap";
+
+      let target = 1 + Math.floor(Math.random() * CONFIG.games.guessMax);
+      let attempts = 0;
+      let finished = false;
+
+      const hud = document.createElement("div");
+      hud.className = "gameHud";
+      hud.innerHTML = `
+        <span class="hudStat">🎯 Intentos: <span id="gAttempts">0</span></span>
+        <span class="hudStat">🔢 1–${CONFIG.games.guessMax}</span>
+      `;
+
+      const panel = document.createElement("div");
+      panel.className = "gamePanel";
+      panel.innerHTML = `
+        <p class="muted" style="margin:0 0 12px;">
+          Adivina el número secreto. Te diré si es más alto o más bajo.
+        </p>
+
+        <div class="guessRow">
+          <input class="input guessInput" id="gInput" type="number" min="1" max="${CONFIG.games.guessMax}" placeholder="Tu número..." />
+          <button class="btn btn--primary" id="gBtn" type="button">Probar</button>
+          <button class="btn btn--ghost" id="gNew" type="button">Nuevo</button>
+        </div>
+
+        <div class="spacer"></div>
+
+        <div class="guessHint" id="gHint">Escribe un número y pulsa “Probar”.</div>
+      `;
+
+      const setAttempts = () => { $("#gAttempts", root).textContent = String(attempts); };
+
+      const newGame = () => {
+        target = 1 + Math.floor(Math.random() * CONFIG.games.guessMax);
+        attempts = 0;
+        finished = false;
+        setAttempts();
+        $("#gHint", root).textContent = "Nuevo número listo. ¡Suerte!";
+        $("#gInput", root).value = "";
+        $("#gInput", root).focus();
+      };
+
+      $("#gBtn", panel).addEventListener("click", () => {
+        if (finished) return;
+
+        const raw = $("#gInput", root).value;
+        const n = Number(raw);
+
+        if (!Number.isFinite(n)) {
+          $("#gHint", root).textContent = "Escribe un número válido.";
+          return;
+        }
+
+        const guess = clamp(Math.floor(n), 1, CONFIG.games.guessMax);
+        attempts++;
+        setAttempts();
+
+        if (guess === target) {
+          finished = true;
+          $("#gHint", root).textContent = `¡Correcto! 🎉 Lo adivinaste en ${attempts} intentos.`;
+
+          if (user) {
+            const improved = Scores.updateBestLower(user.id, "guess", "bestAttempts", attempts);
+            if (improved) {
+              UI.notify({ type: "record", title: "Nuevo récord", message: `Mejor marca: ${attempts} intentos` });
+              Home.updateBestStat();
+            }
+          }
+        } else if (guess < target) {
+          $("#gHint", root).textContent = "Más alto ⬆️";
+        } else {
+          $("#gHint", root).textContent = "Más bajo ⬇️";
+        }
+      });
+
+      $("#gNew", panel).addEventListener("click", newGame);
+
+      root.appendChild(hud);
+      root.appendChild(panel);
+
+      if (!user) {
+        const tip = document.createElement("div");
+        tip.className = "help";
+        tip.textContent = "Inicia sesión para guardar tu mejor número de intentos.";
+        root.appendChild(tip);
+      }
+
+      return root;
+    },
+
+    // ----------------------------------------------------------
+    // 10.3) Reflejos (reaction timer)
+    // ----------------------------------------------------------
+    reaction(game, user) {
+      const root = document.createElement("div");
+      root.className = "gameWrap";
+
+      let state = "idle";     // idle | waiting | ready
+      let startTime = 0;
+      let timeoutId = 0;
+
+      const hud = document.createElement("div");
+      hud.className = "gameHud";
+      hud.innerHTML = `
+        <span class="hudStat">⚡ Mejor: <span id="rxBest">—</span></span>
+      `;
+
+      const panel = document.createElement("div");
+      panel.className = "gamePanel";
+      panel.innerHTML = `
+        <div class="reactionArea" id="rxArea" role="button" tabindex="0">
+          <div>
+            <b id="rxTitle">Pulsa para empezar</b>
+            <p id="rxText">Cuando cambie a “¡Ahora!”, haz click lo más rápido posible.</p>
+          </div>
+        </div>
+      `;
+
+      // Cargar mejor marca
+      if (user) {
+        const best = Scores.getUser(user.id)?.reaction?.bestMs;
+        if (typeof best === "number") $("#rxBest", hud).textContent = Scores.formatMs(best);
+      }
+
+      const setArea = (cls, title, text) => {
+        const area = $("#rxArea", panel);
+        area.className = `reactionArea ${cls || ""}`.trim();
+        $("#rxTitle", panel).textContent = title;
+        $("#rxText", panel).textContent = text;
+      };
+
+      const reset = () => {
+        state = "idle";
+        startTime = 0;
+        clearTimeout(timeoutId);
+        timeoutId = 0;
+        setArea("", "Pulsa para empezar", "Cuando cambie a “¡Ahora!”, haz click lo más rápido posible.");
+      };
+
+      const start = () => {
+        state = "waiting";
+        setArea("is-ready", "Espera…", "No pulses todavía.");
+        const delay = CONFIG.games.reactionMinDelay +
+          Math.floor(Math.random() * (CONFIG.games.reactionMaxDelay - CONFIG.games.reactionMinDelay));
+
+        timeoutId = window.setTimeout(() => {
+          state = "ready";
+          startTime = performance.now();
+          setArea("is-go", "¡Ahora!", "Haz click (o pulsa Enter).");
+        }, delay);
+      };
+
+      const hit = () => {
+        if (state === "idle") {
+          start();
+          return;
+        }
+
+        if (state === "waiting") {
+          // Pulsó demasiado pronto
+          UI.toast({ title: "Ups", message: "Demasiado pronto. Inténtalo otra vez." });
+          reset();
+          return;
+        }
+
+        if (state === "ready") {
+          const ms = Math.round(performance.now() - startTime);
+          UI.toast({ title: "Tiempo", message: `${Scores.formatMs(ms)}` });
+
+          setArea("", "¡Bien!", `Tu tiempo: ${Scores.formatMs(ms)}. Pulsa para jugar otra vez.`);
+          state = "idle";
+
+          if (user) {
+            const improved = Scores.updateBestLower(user.id, "reaction", "bestMs", ms);
+            if (improved) {
+              $("#rxBest", hud).textContent = Scores.formatMs(ms);
+              UI.notify({ type: "record", title: "Nuevo récord", message: `Mejor tiempo: ${Scores.formatMs(ms)}` });
+              Home.updateBestStat();
+            }
+          }
+        }
+      };
+
+      const area = $("#rxArea", panel);
+      area.addEventListener("click", hit);
+      area.addEventListener("keydown", (ev) => {
+        if (ev.key === "Enter" || ev.key === " ") {
+          ev.preventDefault();
+          hit();
+        }
+      });
+
+      root.appendChild(hud);
+      root.appendChild(panel);
+
+      if (!user) {
+        const tip = document.createElement("div");
+        tip.className = "help";
+        tip.textContent = "Inicia sesión para guardar tu mejor tiempo de reacción.";
+        root.appendChild(tip);
+      }
+
+      return root;
+    },
+
+    // ----------------------------------------------------------
+    // 10.4) Memory (parejas)
+    // ----------------------------------------------------------
+    memory(game, user) {
+      const root = document.createElement("div");
+      root.className = "gameWrap";
+
+      const icons = ["🍓","🍋","🍇","🍒","🥝","🍑","🍉","🍍"];
+      const deck = shuffle([...icons, ...icons]);
+
+      let first = null;
+      let second = null;
+      let lock = false;
+
+      let moves = 0;
+      let matched = 0;
+
+      const hud = document.createElement("div");
+      hud.className = "gameHud";
+      hud.innerHTML = `
+        <span class="hudStat">🧠 Movimientos: <span id="mMoves">0</span></span>
+        <span class="hudStat">✅ Parejas: <span id="mPairs">0</span> / ${icons.length}</span>
+        <span class="hudStat">🏆 Mejor: <span id="mBest">—</span></span>
+      `;
+
+      if (user) {
+        const best = Scores.getUser(user.id)?.memory?.bestMoves;
+        if (typeof best === "number") $("#mBest", hud).textContent = String(best);
+      }
+
+      const panel = document.createElement("div");
+      panel.className = "gamePanel";
+
+      const grid = document.createElement("div");
+      grid.className = "memoryGrid";
+
+      const setHud = () => {
+        $("#mMoves", hud).textContent = String(moves);
+        $("#mPairs", hud).textContent = String(matched);
+      };
+
+      const makeCard = (icon, idx) => {
+        const card = document.createElement("button");
+        card.type = "button";
+        card.className = "memCard";
+        card.setAttribute("data-icon", icon);
+        card.setAttribute("data-idx", String(idx));
+        card.innerHTML = `
+          <div class="memInner">
+            <div class="memFace memFront">?</div>
+            <div class="memFace memBack">${icon}</div>
+          </div>
+        `;
+        return card;
+      };
+
+      deck.forEach((icon, idx) => grid.appendChild(makeCard(icon, idx)));
+
+      const resetPick = () => {
+        first = null;
+        second = null;
+        lock = false;
+      };
+
+      const checkWin = () => {
+        if (matched !== icons.length) return;
+
+        UI.toast({ title: "¡Completado!", message: `Terminaste en ${moves} movimientos.` });
+
+        if (user) {
+          const improved = Scores.updateBestLower(user.id, "memory", "bestMoves", moves);
+          if (improved) {
+            $("#mBest", hud).textContent = String(moves);
+            UI.notify({ type: "record", title: "Nuevo récord", message: `Mejor marca: ${moves} movimientos` });
+            Home.updateBestStat();
+          }
+        }
+      };
+
+      grid.addEventListener("click", (ev) => {
+        const card = ev.target.closest(".memCard");
+        if (!card) return;
+
+        if (lock) return;
+        if (card.classList.contains("is-matched")) return;
+        if (card === first) return;
+
+        card.classList.add("is-flipped");
+
+        if (!first) {
+          first = card;
+          return;
+        }
+
+        second = card;
+        lock = true;
+        moves++;
+        setHud();
+
+        const a = first.getAttribute("data-icon");
+        const b = second.getAttribute("data-icon");
+
+        if (a === b) {
+          first.classList.add("is-matched");
+          second.classList.add("is-matched");
+          matched++;
+          setHud();
+          resetPick();
+          checkWin();
+          return;
+        }
+
+        // No coincide → vuelta atrás
+        window.setTimeout(() => {
+          first.classList.remove("is-flipped");
+          second.classList.remove("is-flipped");
+          resetPick();
+        }, 520);
+      });
+
+      const row = document.createElement("div");
+      row.className = "btnRow";
+      row.innerHTML = `
+        <button class="btn btn--ghost" type="button" id="mReset">Reiniciar</button>
+      `;
+
+      $("#mReset", row).addEventListener("click", () => {
+        // Reinicio simple: reabrimos el juego desde cero
+        Games.open("memory");
+      });
+
+      panel.appendChild(grid);
+      panel.appendChild(document.createElement("div")).className = "spacer";
+      panel.appendChild(row);
+
+      root.appendChild(hud);
+      root.appendChild(panel);
+      setHud();
+
+      if (!user) {
+        const tip = document.createElement("div");
+        tip.className = "help";
+        tip.textContent = "Inicia sesión para guardar tu mejor número de movimientos.";
+        root.appendChild(tip);
+      }
+
+      return root;
+    },
+
+    // ----------------------------------------------------------
+    // 10.5) Whack (golpea al “pixel”)
+    // ----------------------------------------------------------
+    whack(game, user) {
+      const root = document.createElement("div");
+      root.className = "gameWrap";
+
+      let score = 0;
+      let bestScore = 0;
+      let timeLeft = CONFIG.games.whackSeconds;
+
+      let running = false;
+      let timerId = 0;
+      let activeIndex = -1;
+
+      const hud = document.createElement("div");
+      hud.className = "gameHud";
+      hud.innerHTML = `
+        <span class="hudStat">👾 Puntos: <span id="wScore">0</span></span>
+        <span class="hudStat">⏱️ Tiempo: <span id="wTime">${CONFIG.games.whackSeconds}</span>s</span>
+        <span class="hudStat">🏆 Mejor: <span id="wBest">—</span></span>
+      `;
+
+      if (user) {
+        const best = Scores.getUser(user.id)?.whack?.bestScore;
+        if (typeof best === "number") {
+          bestScore = best;
+          $("#wBest", hud).textContent = String(best);
+        }
+      }
+
+      const panel = document.createElement("div");
+      panel.className = "gamePanel";
+      panel.innerHTML = `
+        <p class="muted" style="margin:0 0 12px;">
+          Haz click en el “pixel” brillante tantas veces como puedas antes de que acabe el tiempo.
+        </p>
+
+        <div class="whackGrid" id="wGrid"></div>
+
+        <div class="spacer"></div>
+
+        <div class="btnRow">
+          <button class="btn btn--primary" id="wStart" type="button">Empezar</button>
+          <button class="btn btn--ghost" id="wStop" type="button">Parar</button>
+        </div>
+      `;
+
+      const grid = $("#wGrid", panel);
+
+      // Crear 9 celdas
+      for (let i = 0; i < 9; i++) {
+        const cell = document.createElement("button");
+        cell.type = "button";
+        cell.className = "whackCell";
+        cell.setAttribute("data-idx", String(i));
+        cell.innerHTML = `<span class="whackDot"></span>`;
+        grid.appendChild(cell);
+      }
+
+      const setHud = () => {
+        $("#wScore", hud).textContent = String(score);
+        $("#wTime", hud).textContent = String(timeLeft);
+        $("#wBest", hud).textContent = user ? String(bestScore) : "—";
+      };
+
+      const clearActive = () => {
+        if (activeIndex < 0) return;
+        const active = grid.querySelector(`.whackCell[data-idx="${activeIndex}"]`);
+        active?.classList.remove("is-active");
+        activeIndex = -1;
+      };
+
+      const pickNew = () => {
+        clearActive();
+        activeIndex = Math.floor(Math.random() * 9);
+        const next = grid.querySelector(`.whackCell[data-idx="${activeIndex}"]`);
+        next?.classList.add("is-active");
+      };
+
+      const stop = () => {
+        running = false;
+        clearInterval(timerId);
+        timerId = 0;
+        clearActive();
+      };
+
+      const finish = () => {
+        stop();
+        UI.toast({ title: "Fin", message: `Puntuación: ${score}` });
+
+        if (user) {
+          const improved = Scores.updateBestHigher(user.id, "whack", "bestScore", score);
+          if (improved) {
+            bestScore = Math.max(bestScore, score);
+            UI.notify({ type: "record", title: "Nuevo récord", message: `Mejor puntuación: ${bestScore}` });
+            Home.updateBestStat();
+          }
+        }
+      };
+
+      const start = () => {
+        score = 0;
+        timeLeft = CONFIG.games.whackSeconds;
+        running = true;
+        setHud();
+        pickNew();
+
+        clearInterval(timerId);
+        timerId = window.setInterval(() => {
+          timeLeft--;
+          setHud();
+
+          if (timeLeft <= 0) finish();
+          else pickNew();
+        }, 1000);
+      };
+
+      grid.addEventListener("click", (ev) => {
+        const cell = ev.target.closest(".whackCell");
+        if (!cell) return;
+        if (!running) return;
+
+        const idx = Number(cell.getAttribute("data-idx"));
+        if (idx !== activeIndex) return;
+
+        score++;
+        setHud();
+        pickNew();
+      });
+
+      $("#wStart", panel).addEventListener("click", start);
+      $("#wStop", panel).addEventListener("click", () => {
+        stop();
+        UI.toast({ title: "Pausado", message: "Pulsa “Empezar” para reiniciar." });
+      });
+
+      root.appendChild(hud);
+      root.appendChild(panel);
+      setHud();
+
+      if (!user) {
+        const tip = document.createElement("div");
+        tip.className = "help";
+        tip.textContent = "Inicia sesión para guardar tu mejor puntuación.";
+        root.appendChild(tip);
+      }
+
+      return root;
+    }
+  };
+
+  /* ==========================================================================
+     11) JUEGOS (CATÁLOGO + APERTURA DEL MODAL)
+  ========================================================================== */
+  const Games = {
+    data: [
+      {
+        id: "reaction",
+        title: "Reflejos",
+        subtitle: "¿Qué tan rápido reaccionas?",
+        desc: "Espera la señal y haz click en el momento exacto. Cuanto más bajo, mejor.",
+        icon: "⚡",
+        tag: "SPEED",
+        meta: ["1 jugador", "Rápido", "ms"],
+        g1: "#22c1c3",
+        g2: "#8a5cff"
+      },
+      {
+        id: "guess",
+        title: "Adivina el número",
+        subtitle: "Del 1 al 100",
+        desc: "Encuentra el número secreto con las pistas “más alto / más bajo”.",
+        icon: "🎯",
+        tag: "PUZZLE",
+        meta: ["1 jugador", "Lógica", "intent."],
+        g1: "#8a5cff",
+        g2: "#ff4d6d"
+      },
+      {
+        id: "memory",
+        title: "Memory",
+        subtitle: "Encuentra las parejas",
+        desc: "Voltea cartas y empareja símbolos. Menos movimientos = mejor marca.",
+        icon: "🧠",
+        tag: "MEMORY",
+        meta: ["1 jugador", "Parejas", "moves"],
+        g1: "#ff4d6d",
+        g2: "#22c1c3"
+      },
+      {
+        id: "whack",
+        title: "Whack",
+        subtitle: "Golpea al pixel",
+        desc: "Haz click en el objetivo brillante tantas veces como puedas antes de que acabe el tiempo.",
+        icon: "👾",
+        tag: "ARCADE",
+        meta: ["1 jugador", "20s", "score"],
+        g1: "#22c1c3",
+        g2: "#2dd4bf"
+      },
+      {
+        id: "rps",
+        title: "Piedra, papel, tijera",
+        subtitle: "Clásico de toda la vida",
+        desc: "Gana rondas y construye una racha. ¿Cuánto aguantas sin fallar?",
+        icon: "🪨",
+        tag: "CLÁSICO",
+        meta: ["1 jugador", "Racha", "wins"],
+        g1: "#8a5cff",
+        g2: "#22c1c3"
+      }
+    ],
+
+    get(gameId) {
+      return Games.data.find((g) => g.id === gameId) || null;
+    },
+
+    open(gameId) {
+      const game = Games.get(gameId);
+      if (!game) {
+        UI.toast({ title: "Error", message: "Juego no encontrado." });
+        return;
+      }
+
+      const user = Auth.currentUser();
+
+      // Elegimos la función de MiniGames en base al id
+      const builder = MiniGames[game.id];
+      if (typeof builder !== "function") {
+        UI.toast({ title: "Error", message: "Este juego aún no está disponible." });
+        return;
+      }
+
+      const contentEl = builder(game, user);
+
+      UI.openGameModal({
+        title: game.title,
+        subtitle: game.subtitle,
+        contentEl
+      });
+    }
+  };
+
+  /* ==========================================================================
+     12) HOME (index.html)
+  ========================================================================== */
+  const Home = {
+    renderStats() {
+      const statUsers = $("#statUsers");
+      const statComments = $("#statComments");
+      const statBest = $("#statBest");
+
+      const users = Auth.listUsers();
+      const publicComments = Comments.listPublic();
+      const current = Auth.currentUser();
+
+      if (statUsers) statUsers.textContent = String(users.length);
+      if (statComments) statComments.textContent = String(publicComments.length);
+
+      if (statBest) {
+        statBest.textContent = current ? Scores.bestLabelForUser(current.id) : "—";
+      }
+    },
+
+    updateBestStat() {
+      const current = Auth.currentUser();
+      const statBest = $("#statBest");
+      if (!statBest) return;
+      statBest.textContent = current ? Scores.bestLabelForUser(current.id) : "—";
+    },
+
+    renderGames() {
+      const grid = $("#gamesGrid");
+      if (!grid) return;
+
+      grid.innerHTML = "";
+
+      Games.data.forEach((g) => {
+        const card = document.createElement("article");
+        card.className = "gameCard reveal";
+        card.style.setProperty("--g1", g.g1);
+        card.style.setProperty("--g2", g.g2);
+
+        card.innerHTML = `
+          <div class="gameCard__art">
+            <div class="gameCard__icon">${g.icon}</div>
+            <div class="gameCard__tag">${escapeHtml(g.tag)}</div>
+          </div>
+
+          <div class="gameCard__body">
+            <h3 class="gameCard__title">${escapeHtml(g.title)}</h3>
+            <p class="gameCard__desc">${escapeHtml(g.desc)}</p>
+
+            <div class="gameCard__meta">
+              ${g.meta.map((m) => `<span class="pillMeta">${escapeHtml(m)}</span>`).join("")}
+            </div>
+
+            <div class="gameCard__actions">
+              <button class="btn btn--primary" data-action="openGame" data-game="${escapeHtml(g.id)}" type="button">
+                Jugar
+              </button>
+              <button class="btn btn--ghost" data-action="openGame" data-game="${escapeHtml(g.id)}" type="button">
+                Ver
+              </button>
+            </div>
+          </div>
+        `;
+
+        grid.appendChild(card);
+      });
+
+      UI.initReveal();
+    },
+
+    renderComments() {
+      const list = $("#commentsList");
+      if (!list) return;
+
+      Home.renderMyComments();
+      const comments = Comments.listPublic();
+      const roots = comments.filter((c) => !c.parentId);
+
+      if (roots.length === 0) {
+        list.innerHTML = `<div class="card card--pad muted">Aún no hay comentarios. ¡Sé el primero!</div>`;
+        return;
+      }
+
+      // Orden de los hilos: recientes o más reacciones (las respuestas, siempre cronológicas).
+      const sort = Home.commentsSort();
+      if (sort === "reactions") {
+        roots.sort((a, b) => Comments.reactionCount(b) - Comments.reactionCount(a));
+      }
+      $$("[data-sort-comments]").forEach((btn) => {
+        const active = btn.getAttribute("data-sort-comments") === sort;
+        btn.classList.toggle("btn--primary", active);
+        btn.classList.toggle("btn--ghost", !active);
+        btn.setAttribute("aria-pressed", String(active));
+      });
+
+      // Una respuesta solo se ve si todo su hilo está aprobado (se pinta desde la raíz).
+      const all = Comments.listAll();
+      const user = Auth.currentUser();
+      const repliesOf = (id) => comments.filter((c) => c.parentId === id).reverse();
+
+      const renderItem = (c, depth) => {
+        const actions = [
+          user && Comments.canReply(c, all) ? `<button class="btn btn--ghost" data-reply="${c.id}" type="button">Responder</button>` : "",
+          user && c.authorId === user.id ? Home.ownActions(c) : "",
+          user && c.authorId !== user.id ? Home.reportAction(c, user) : ""
+        ].join("").trim();
+
+        const item = document.createElement("div");
+        item.className = depth === 0 ? "card comment reveal" : "comment comment--reply";
+        item.dataset.commentId = c.id;
+
+        item.innerHTML = `
+          <div class="comment__top">
+            <span class="comment__author">${escapeHtml(c.authorName)}</span>
+            <span class="comment__date">${Home.commentDate(c)}</span>
+          </div>
+          <p class="comment__text">${Markdown.render(c.text)}</p>
+          ${Home.reactionBar(c, user)}
+          ${actions ? `<div class="comment__actions">${actions}</div>` : ""}
+        `;
+
+        const replies = repliesOf(c.id);
+        if (replies.length > 0) {
+          const box = document.createElement("div");
+          box.className = "comment__replies";
+          replies.forEach((r) => box.appendChild(renderItem(r, depth + 1)));
+          item.appendChild(box);
+        }
+
+        return item;
+      };
+
+      list.innerHTML = "";
+      roots.forEach((c) => list.appendChild(renderItem(c, 0)));
+
+      UI.initReveal();
+    },
+
+    // Comentarios propios que aún no son públicos: estado + motivo del rechazo.
+    renderMyComments() {
+      const box = $("#myComments");
+      if (!box) return;
+
+      const user = Auth.currentUser();
+      const mine = user ? Comments.listByAuthor(user.id).filter((c) => c.status !== "approved") : [];
+
+      box.classList.toggle("is-hidden", mine.length === 0);
+      box.innerHTML = mine.map((c) => `
+        <div class="card comment comment--mine">
+          <div class="comment__top">
+            <span class="pill pill--soft">${escapeHtml(COMMENT_STATUS[c.status] || c.status)}</span>
+            <span class="comment__date">${Home.commentDate(c)}</span>
+          </div>
+          <p class="comment__text">${Markdown.render(c.text)}</p>
+          ${c.status === "rejected" && c.moderationNote
+            ? `<p class="comment__note">📝 Motivo: ${escapeHtml(c.moderationNote)}</p>`
+            : ""}
+          <div class="comment__actions">${Home.ownActions(c)}</div>
+        </div>
+      `).join("");
+    },
+
+    commentsSort() {
+      return Store.get(Keys.ui, { theme: "dark" }).commentsSort || "newest";
+    },
+
+    reactionBar(c, user) {
+      return `
+        <div class="reactions" role="group" aria-label="Reacciones">
+          ${COMMENT_REACTIONS.map((emoji) => {
+            const count = Comments.reactionCount(c, emoji);
+            const mine = !!user && (c.reactions?.[emoji] || []).includes(user.id);
+            return `
+              <button class="reaction${mine ? " is-active" : ""}" type="button"
+                data-react="${emoji}" aria-pressed="${mine}" title="${user ? "Reaccionar" : "Inicia sesión para reaccionar"}">
+                ${emoji} <span>${count || ""}</span>
+              </button>
+            `;
+          }).join("")}
+        </div>
+      `;
+    },
+
+    // “Reportar”: motivo + confirmación (delegado en #commentsList).
+    bindReports() {
+      const list = $("#commentsList");
+      if (!list) return;
+
+      list.addEventListener("click", async (ev) => {
+        const btn = ev.target.closest("[data-report]");
+        if (!btn) return;
+
+        const user = Auth.currentUser();
+        if (!user) return;
+
+        const reason = await UI.choose({
+          title: "Reportar comentario",
+          message: "¿Por qué crees que este comentario no debería estar publicado?",
+          options: Object.entries(REPORT_REASONS),
+          okText: "Reportar"
+        });
+        if (reason === null) return;
+
+        try {
+          const c = Comments.report(btn.getAttribute("data-report"), user, reason);
+          UI.toast({
+            title: "Gracias por avisar",
+            message: c.status === "flagged" ? "El comentario queda retirado hasta que lo revise un moderador." : "Un moderador lo revisará."
+          });
+          Home.renderComments();
+        } catch (err) {
+          UI.toast({ title: "Error", message: err.message });
+        }
+      });
+    },
+
+    // Reacciones + selector de orden (delegado en la sección de comentarios).
+    bindReactions() {
+      const list = $("#commentsList");
+      if (!list) return;
+
+      list.addEventListener("click", (ev) => {
+        const btn = ev.target.closest("[data-react]");
+        if (!btn) return;
+
+        const user = Auth.currentUser();
+        if (!user) {
+          UI.toast({ title: "Sesión necesaria", message: "Inicia sesión para reaccionar." });
+          return;
+        }
+
+        try {
+          Comments.react(btn.closest("[data-comment-id]").dataset.commentId, user, btn.getAttribute("data-react"));
+          Home.renderComments();
+        } catch (err) {
+          UI.toast({ title: "Error", message: err.message });
+        }
+      });
+
+      $$("[data-sort-comments]").forEach((btn) => {
+        btn.addEventListener("click", () => {
+          const sort = btn.getAttribute("data-sort-comments");
+          Store.update(Keys.ui, (ui) => ({ ...ui, commentsSort: sort }), { theme: "dark" });
+          Home.renderComments();
+        });
+      });
+    },
+
+    // Fecha + marca “editado” (con la fecha de la última edición en el title).
+    commentDate(c) {
+      return c.editedAt
+        ? `${formatDate(c.createdAt)} · <span title="Editado el ${escapeHtml(formatDate(c.editedAt))}">editado</span>`
+        : formatDate(c.createdAt);
+    },
+
+    reportAction(c, user) {
+      return Comments.hasReported(c, user.id)
+        ? `<button class="btn btn--ghost" type="button" disabled>🚩 Reportado</button>`
+        : `<button class="btn btn--ghost" data-report="${c.id}" type="button">🚩 Reportar</button>`;
+    },
+
+    ownActions(c) {
+      return `
+        <button class="btn btn--ghost" data-edit-own="${c.id}" type="button">Editar</button>
+        <button class="btn btn--ghost" data-delete-own="${c.id}" type="button">Borrar</button>
+      `;
+    },
+
+    renderSessions() {
+      const tbody = $("#sessionsTbody");
+      if (!tbody) return;
+
+      const session = Auth.currentSession();
+      const user = Auth.currentUser();
+      tbody.innerHTML = "";
+      if (!user) return;
+
+      Sessions.listForUser(user.id).forEach((s) => {
+        const isCurrent = s.id === session?.id;
+        const tr = document.createElement("tr");
+
+        tr.innerHTML = `
+          <td>${escapeHtml(Sessions.describe(s))}${isCurrent ? ` <span class="pill pill--soft">Esta sesión</span>` : ""}</td>
+          <td><small>${escapeHtml(formatDate(s.createdAt))}${s.remember ? " · Recordada" : ""}</small></td>
+          <td><small>${escapeHtml(formatDate(s.lastSeenAt))}</small></td>
+          <td>
+            ${
+              isCurrent
+                ? `<button class="btn btn--ghost" data-action="logout" type="button">Salir</button>`
+                : `<button class="btn btn--ghost" data-action="revokeSession" data-session-id="${s.id}" type="button">Cerrar</button>`
+            }
+          </td>
+        `;
+
+        tbody.appendChild(tr);
+      });
+    },
+
+    // Alta de 2FA en curso (secreto + códigos aún sin guardar) y
+    // códigos de respaldo recién generados (se enseñan una sola vez).
+    tfaSetup: null,
+    tfaFreshCodes: null,
+
+    renderTwoFactor() {
+      const box = $("#twoFactorBox");
+      if (!box) return;
+
+      const user = Auth.currentUser();
+      if (!user) {
+        box.innerHTML = "";
+        return;
+      }
+
+      const codesHtml = (codes) => `
+        <div class="adminTip">
+          <b>Códigos de respaldo</b>
+          <p class="help">Guárdalos ahora: no se volverán a mostrar. Cada uno sirve una sola vez.</p>
+          <p style="margin:8px 0 0; font-family:monospace; line-height:1.8;">${codes.map(escapeHtml).join("<br>")}</p>
+        </div>
+      `;
+
+      const codeField = `
+        <div class="field">
+          <label for="tfaCode">Código de tu app</label>
+          <input class="input" id="tfaCode" inputmode="numeric" autocomplete="one-time-code" placeholder="123456" />
+        </div>
+      `;
+
+      // 1) Alta en curso.
+      if (Home.tfaSetup) {
+        const { secret, uri, backupCodes } = Home.tfaSetup;
+        box.innerHTML = `
+          <div class="form">
+            <p class="muted" style="margin:0;">
+              Añade la cuenta en tu app de autenticación (Google Authenticator, Authy, 1Password…)
+              abriendo <a href="${escapeHtml(uri)}"><b>este enlace</b></a> o escribiendo la clave:
+            </p>
+            <p style="margin:0; font-family:monospace; word-break:break-all;"><b>${escapeHtml(secret.match(/.{1,4}/g).join(" "))}</b></p>
+            ${codesHtml(backupCodes)}
+            ${codeField}
+            <div class="btnRow">
+              <button class="btn btn--primary" data-action="tfaConfirm" type="button">Activar</button>
+              <button class="btn btn--ghost" data-action="tfaCancel" type="button">Cancelar</button>
+            </div>
+          </div>
+        `;
+        return;
+      }
+
+      // 2) Activada.
+      if (TwoFactor.isEnabled(user)) {
+        const required = TwoFactor.isRequired(user);
+        box.innerHTML = `
+          <div class="form">
+            <p class="muted" style="margin:0;">
+              ✅ Activada desde el ${escapeHtml(formatDate(user.totp.enabledAt))}.
+              Te quedan <b>${TwoFactor.remainingBackupCodes(user)}</b> códigos de respaldo.
+            </p>
+            ${Home.tfaFreshCodes ? codesHtml(Home.tfaFreshCodes) : ""}
+            ${codeField}
+            <div class="btnRow">
+              <button class="btn btn--ghost" data-action="tfaRegenerate" type="button">Nuevos códigos de respaldo</button>
+              ${required ? "" : `<button class="btn btn--ghost" data-action="tfaDisable" type="button">Desactivar</button>`}
+            </div>
+            ${required ? `<p class="help">Es obligatoria para administradores.</p>` : ""}
+          </div>
+        `;
+        return;
+      }
+
+      // 3) Desactivada (y sin WebCrypto, ni siquiera se puede activar).
+      if (!TwoFactor.isAvailable()) {
+        box.innerHTML = `
+          <p class="muted" style="margin:0;">
+            ⚠️ Este navegador no permite la verificación en dos pasos aquí: abre la web con HTTPS para activarla.
+          </p>
+        `;
+        return;
+      }
+
+      box.innerHTML = `
+        <div class="form">
+          <p class="muted" style="margin:0;">
+            Al entrar, además de la contraseña se te pedirá un código de tu móvil.
+          </p>
+          ${TwoFactor.isRequired(user) ? `<p class="help">⚠️ Es obligatoria para entrar al panel de administración.</p>` : ""}
+          <div class="btnRow">
+            <button class="btn btn--primary" data-action="tfaStart" type="button">Activar verificación en dos pasos</button>
+          </div>
+        </div>
+      `;
+    },
+
+    async twoFactorAction(action) {
+      const user = Auth.currentUser();
+      if (!user) return;
+
+      const code = $("#tfaCode")?.value || "";
+
+      try {
+        if (action === "tfaStart") {
+          Home.tfaSetup = TwoFactor.setup(user);
+        }
+
+        if (action === "tfaCancel") {
+          Home.tfaSetup = null;
+        }
+
+        if (action === "tfaConfirm" && Home.tfaSetup) {
+          await TwoFactor.enable(user.id, Home.tfaSetup, code);
+          Home.tfaSetup = null;
+          UI.toast({ title: "2FA activada", message: "La próxima vez se te pedirá un código al entrar." });
+        }
+
+        if (action === "tfaRegenerate") {
+          Home.tfaFreshCodes = await TwoFactor.regenerateBackupCodes(user, code);
+          UI.toast({ title: "Listo", message: "Los códigos de respaldo anteriores ya no sirven." });
+        }
+
+        if (action === "tfaDisable") {
+          await TwoFactor.disable(user, code);
+          Home.tfaFreshCodes = null;
+          UI.toast({ title: "2FA desactivada", message: "Ya solo se pedirá la contraseña." });
+        }
+      } catch (err) {
+        UI.toast({ title: "Error", message: err.message });
+        return;
+      }
+
+      Home.renderTwoFactor();
+    },
+
+    bindCommentForm() {
+      const form = $("#commentForm");
+      if (!form) return;
+
+      const help = $("#commentHelp");
+      const loginBtn = $("#commentLoginBtn");
+      const textarea = $("#commentText");
+
+      const user = Auth.currentUser();
+
+      // Sin sesión → bloquear textarea.
+      if (!user) {
+        if (textarea) textarea.disabled = true;
+        if (help) help.textContent = "Para comentar necesitas iniciar sesión.";
+        if (loginBtn) loginBtn.classList.remove("is-hidden");
+        return;
+      }
+
+      // Con sesión → permitir comentar.
+      if (textarea) textarea.disabled = false;
+      if (loginBtn) loginBtn.classList.add("is-hidden");
+
+      // Texto informativo.
+      if (help) {
+        help.textContent = can(user, "comments.publish")
+          ? "Tu comentario se publica al instante."
+          : "Tu comentario se publicará tras revisión.";
+      }
+
+      // Vista previa con el mismo renderizado que la lista.
+      const preview = $("#commentPreview");
+      const renderPreview = () => {
+        if (!preview) return;
+        const text = textarea?.value || "";
+        preview.innerHTML = text.trim() ? Markdown.render(text) : "";
+        preview.classList.toggle("is-hidden", !text.trim());
+      };
+      textarea?.addEventListener("input", renderPreview);
+
+      form.addEventListener("submit", (ev) => {
+        ev.preventDefault();
+
+        const text = textarea?.value || "";
+        if (text.trim().length < 2) {
+          UI.toast({ title: "Error", message: "Escribe un comentario más largo." });
+          return;
+        }
+
+        const c = Comments.add({ author: user, text });
+
+        if (textarea) textarea.value = "";
+        renderPreview();
+
+        UI.toast({
+          title: "Comentario enviado",
+          message:
+            c.status === "approved" ? "Publicado." :
+            c.status === "rejected" ? "El filtro antispam lo ha rechazado." :
+            "Queda pendiente de revisión."
+        });
+
+        Home.renderComments();
+        Home.renderStats();
+      });
+    },
+
+    // “Responder”: formulario en línea bajo el comentario (delegado en #commentsList).
+    bindReplies() {
+      const list = $("#commentsList");
+      if (!list) return;
+
+      list.addEventListener("click", (ev) => {
+        const btn = ev.target.closest("[data-reply]");
+        if (btn) {
+          const item = btn.closest("[data-comment-id]");
+          const open = $(":scope > .comment__replyForm", item);
+          if (open) {
+            open.remove();
+            return;
+          }
+
+          const parent = Comments.find(btn.getAttribute("data-reply"));
+          const form = document.createElement("form");
+          form.className = "form comment__replyForm";
+          form.innerHTML = `
+            <textarea placeholder="Responde a ${escapeHtml(parent?.authorName || "")}..." required></textarea>
+            <div class="btnRow">
+              <button class="btn btn--primary" type="submit">Responder</button>
+              <button class="btn btn--ghost" type="button" data-reply-cancel>Cancelar</button>
+            </div>
+          `;
+          $(":scope > .comment__actions", item).after(form);
+          $("textarea", form).focus();
+          return;
+        }
+
+        if (ev.target.closest("[data-reply-cancel]")) ev.target.closest(".comment__replyForm").remove();
+      });
+
+      list.addEventListener("submit", (ev) => {
+        const form = ev.target.closest(".comment__replyForm");
+        if (!form) return;
+        ev.preventDefault();
+
+        const user = Auth.currentUser();
+        if (!user) {
+          UI.toast({ title: "Sesión necesaria", message: "Inicia sesión para responder." });
+          return;
+        }
+
+        const text = $("textarea", form).value;
+        if (text.trim().length < 2) {
+          UI.toast({ title: "Error", message: "Escribe una respuesta más larga." });
+          return;
+        }
+
+        try {
+          const c = Comments.add({ author: user, text, parentId: form.closest("[data-comment-id]").dataset.commentId });
+
+          UI.toast({
+            title: "Respuesta enviada",
+            message:
+              c.status === "approved" ? "Publicada." :
+              c.status === "rejected" ? "El filtro antispam la ha rechazado." :
+              "Queda pendiente de revisión."
+          });
+
+          Home.renderComments();
+          Home.renderStats();
+        } catch (err) {
+          UI.toast({ title: "Error", message: err.message });
+        }
+      });
+    },
+
+    // Editar / borrar comentarios propios (lista pública y “mis comentarios”).
+    bindOwnComments() {
+      const lists = [$("#commentsList"), $("#myComments")].filter(Boolean);
+
+      const onClick = async (ev) => {
+        const user = Auth.currentUser();
+        if (!user) return;
+
+        const editBtn = ev.target.closest("[data-edit-own]");
+        if (editBtn) {
+          const item = editBtn.closest(".comment");
+          if ($(":scope > .comment__editForm", item)) return;
+
+          const c = Comments.find(editBtn.getAttribute("data-edit-own"));
+          if (!c) return;
+
+          const text = $(":scope > .comment__text", item);
+          const form = document.createElement("form");
+          form.className = "form comment__editForm";
+          form.dataset.commentId = c.id;
+          form.innerHTML = `
+            <textarea required></textarea>
+            <p class="help">${
+              c.status === "approved" && !can(user, "comments.publish") && CONFIG.comments.editPolicy === "moderate"
+                ? "Al guardar, el comentario volverá a revisión."
+                : "Se guardará la versión anterior en el historial."
+            }</p>
+            <div class="btnRow">
+              <button class="btn btn--primary" type="submit">Guardar</button>
+              <button class="btn btn--ghost" type="button" data-edit-cancel>Cancelar</button>
+            </div>
+          `;
+          $("textarea", form).value = c.text;
+          text.classList.add("is-hidden");
+          text.after(form);
+          $("textarea", form).focus();
+          return;
+        }
+
+        if (ev.target.closest("[data-edit-cancel]")) {
+          const form = ev.target.closest(".comment__editForm");
+          form.previousElementSibling?.classList.remove("is-hidden");
+          form.remove();
+          return;
+        }
+
+        const deleteBtn = ev.target.closest("[data-delete-own]");
+        if (deleteBtn) {
+          const ok = await UI.confirm({
+            title: "Borrar comentario",
+            message: "¿Seguro que quieres borrar tu comentario? Las respuestas de otros usuarios se mantienen."
+          });
+          if (!ok) return;
+
+          try {
+            Comments.removeOwn(deleteBtn.getAttribute("data-delete-own"), user);
+            UI.toast({ title: "Borrado", message: "Tu comentario se ha eliminado." });
+            Home.renderComments();
+            Home.renderStats();
+          } catch (err) {
+            UI.toast({ title: "Error", message: err.message });
+          }
+        }
+      };
+
+      const onSubmit = (ev) => {
+        const form = ev.target.closest(".comment__editForm");
+        if (!form) return;
+        ev.preventDefault();
 
-          // Guardar mejor racha (si hay usuario).
-          if (user) {
-            const improved = Scores.updateBestHigher(user.id, "rps", "bestStreak", bestStreak);
-            if (improved) {
-              UI.toast({ title: "Nuevo récord", message: `Racha máxima: ${bestStreak}` });
-              Home.updateBestStat();
-            }
+        const user = Auth.currentUser();
+        if (!user) return;
+
+        try {
+          const before = Comments.find(form.dataset.commentId);
+          const c = Comments.edit(form.dataset.commentId, { author: user, text: $("textarea", form).value });
+
+          if (before && c.text !== before.text) {
+            Audit.log("comment.edit", {
+              target: Audit.commentTarget(c),
+              before: { text: before.text, status: before.status },
+              after: { text: c.text, status: c.status }
+            });
           }
-        } else {
-          losses++;
-          streak = 0;
-          result = `Perdiste ❌ — ${labelPick(cpu)} vence a ${labelPick(pick)}.`;
+
+          UI.toast(
+            c.status === "rejected"
+              ? { title: "Edición rechazada", message: "El filtro antispam ha rechazado el nuevo texto." }
+              : {
+                title: "Comentario editado",
+                message: c.status === "approved" ? "Cambios publicados." : "Queda pendiente de revisión."
+              }
+          );
+          Home.renderComments();
+          Home.renderStats();
+        } catch (err) {
+          UI.toast({ title: "Error", message: err.message });
         }
+      };
 
-        $("#rpsResult", root).textContent = result;
-        setHud();
+      lists.forEach((list) => {
+        list.addEventListener("click", onClick);
+        list.addEventListener("submit", onSubmit);
       });
+    },
 
-      root.appendChild(hud);
-      root.appendChild(panel);
-      setHud();
+    // Conversaciones del usuario con soporte (sin notas internas ni asignación).
+    renderMyThreads() {
+      const box = $("#myThreads");
+      if (!box) return;
 
-      if (!user) {
-        const tip = document.createElement("div");
-        tip.className = "help";
-        tip.textContent = "Inicia sesión para guardar tu mejor racha.";
-        root.appendChild(tip);
-      }
+      const threads = Messages.listForUser(Auth.currentUser());
+      const labels = { new: "Recibido", read: "Leído", answered: "Respondido", undelivered: "Respondido", archived: "Cerrado" };
 
-      return root;
+      box.classList.toggle("is-hidden", threads.length === 0);
+      box.innerHTML = threads.map((m) => `
+        <div class="card comment">
+          <div class="comment__top">
+            <span class="comment__author">${escapeHtml(m.subject)}</span>
+            <span class="pill pill--soft">${escapeHtml(labels[m.status] || m.status)}</span>
+          </div>
+          <span class="comment__date">${formatDate(m.createdAt)}</span>
+          <p class="comment__text">${escapeHtml(m.body).replace(/\n/g, "<br>")}</p>
+          ${(m.replies || []).map((r) => `
+            <div class="comment--reply comment__replies">
+              <div class="comment__top">
+                <span class="comment__author">↩️ ${escapeHtml(r.authorName)} (${escapeHtml(CONFIG.appName)})</span>
+                <span class="comment__date">${formatDate(r.at)}</span>
+              </div>
+              <p class="comment__text">${escapeHtml(r.text).replace(/\n/g, "<br>")}</p>
+            </div>
+          `).join("")}
+        </div>
+      `).join("");
     },
 
-    // ----------------------------------------------------------
-    // 10.2) Adivina el número
-    // ----------------------------------------------------------
-    guess(game, user) {
-      const root = document.createElement("div");
-      root.className = "gameWrap";
+    bindContactForm() {
+      const form = $("#contactForm");
+      if (!form) return;
 
-      let target = 1 + Math.floor(Math.random() * CONFIG.games.guessMax);
-      let attempts = 0;
-      let finished = false;
+      // Con sesión, nombre y email vienen rellenos (así el mensaje aparece en “Tus mensajes”).
+      const user = Auth.currentUser();
+      if (user) {
+        if ($("#cName") && !$("#cName").value) $("#cName").value = user.name;
+        if ($("#cEmail") && !$("#cEmail").value) $("#cEmail").value = user.email;
+      }
 
-      const hud = document.createElement("div");
-      hud.className = "gameHud";
-      hud.innerHTML = `
-        <span class="hudStat">🎯 Intentos: <span id="gAttempts">0</span></span>
-        <span class="hudStat">🔢 1–${CONFIG.games.guessMax}</span>
-      `;
+      form.addEventListener("submit", (ev) => {
+        ev.preventDefault();
 
-      const panel = document.createElement("div");
-      panel.className = "gamePanel";
-      panel.innerHTML = `
-        <p class="muted" style="margin:0 0 12px;">
-          Adivina el número secreto. Te diré si es más alto o más bajo.
-        </p>
+        const name = $("#cName")?.value || "";
+        const email = $("#cEmail")?.value || "";
+        const subject = $("#cSubject")?.value || "";
+        const body = $("#cMessage")?.value || "";
 
-        <div class="guessRow">
-          <input class="input guessInput" id="gInput" type="number" min="1" max="${CONFIG.games.guessMax}" placeholder="Tu número..." />
-          <button class="btn btn--primary" id="gBtn" type="button">Probar</button>
-          <button class="btn btn--ghost" id="gNew" type="button">Nuevo</button>
-        </div>
+        if (!name.trim() || !subject.trim() || !body.trim()) {
+          UI.toast({ title: "Error", message: "Completa todos los campos." });
+          return;
+        }
+        if (!isValidEmail(normalizeEmail(email))) {
+          UI.toast({ title: "Error", message: "El email no parece válido." });
+          return;
+        }
 
-        <div class="spacer"></div>
+        try {
+          Messages.add({ name, email, subject, body, userId: Auth.currentUser()?.id || null });
+        } catch (err) {
+          UI.toast({ title: "Error", message: err.message });
+          return;
+        }
+        form.reset();
+        if (user) {
+          $("#cName").value = user.name;
+          $("#cEmail").value = user.email;
+        }
+        Home.renderMyThreads();
 
-        <div class="guessHint" id="gHint">Escribe un número y pulsa “Probar”.</div>
+        UI.toast({ title: "Mensaje enviado", message: "Gracias. Te responderemos lo antes posible." });
+      });
+    }
+  };
+
+  /* ==========================================================================
+     12.1) PERFIL (profile.html)
+     - Resumen de la cuenta + formularios de datos, contraseña y frase.
+     - Los cambios sensibles piden la contraseña actual.
+  ========================================================================== */
+  const Profile = {
+    render() {
+      const box = $("#profileSummary");
+      if (!box) return;
+
+      const user = Auth.currentUser();
+      if (!user) {
+        box.innerHTML = "";
+        return;
+      }
+
+      box.innerHTML = `
+        <p style="margin:0;"><b>${escapeHtml(user.name)}</b> <span class="pill pill--soft">${escapeHtml(roleLabel(user.role))}</span></p>
+        <p class="muted" style="margin:6px 0 0;">
+          ${escapeHtml(user.email)} ·
+          ${user.emailVerifiedAt ? "✅ Verificado" : "⏳ Pendiente de verificar"}
+        </p>
+        ${
+          user.pendingEmail
+            ? `<p class="help">Cambio a <b>${escapeHtml(user.pendingEmail)}</b> pendiente: abre el enlace que te hemos enviado ahí.</p>`
+            : ""
+        }
+        <p class="help">
+          Miembro desde ${escapeHtml(formatDate(user.createdAt))} ·
+          Contraseña cambiada ${escapeHtml(formatDate(user.passwordChangedAt))}
+        </p>
       `;
+    },
 
-      const setAttempts = () => { $("#gAttempts", root).textContent = String(attempts); };
+    // Rellena los campos con los datos actuales (solo al cargar, para no pisar lo que se escribe).
+    fill() {
+      const user = Auth.currentUser();
+      if (!user) return;
 
-      const newGame = () => {
-        target = 1 + Math.floor(Math.random() * CONFIG.games.guessMax);
-        attempts = 0;
-        finished = false;
-        setAttempts();
-        $("#gHint", root).textContent = "Nuevo número listo. ¡Suerte!";
-        $("#gInput", root).value = "";
-        $("#gInput", root).focus();
-      };
+      if ($("#profileName")) $("#profileName").value = user.name;
+      if ($("#profileEmail")) $("#profileEmail").value = user.email;
+    },
 
-      $("#gBtn", panel).addEventListener("click", () => {
-        if (finished) return;
+    bindForms() {
+      const user = Auth.currentUser();
+      if (!user) return;
+
+      // La contraseña actual solo hace falta si cambia el email.
+      const emailInput = $("#profileEmail");
+      const currentField = $("#profileCurrentField");
+      emailInput?.addEventListener("input", () => {
+        const changed = normalizeEmail(emailInput.value) !== Auth.findById(user.id)?.email;
+        currentField?.classList.toggle("is-hidden", !changed);
+      });
 
-        const raw = $("#gInput", root).value;
-        const n = Number(raw);
+      $("#profileForm")?.addEventListener("submit", async (ev) => {
+        ev.preventDefault();
 
-        if (!Number.isFinite(n)) {
-          $("#gHint", root).textContent = "Escribe un número válido.";
+        try {
+          const { emailChanged } = await Auth.updateProfile(user.id, {
+            name: $("#profileName")?.value || "",
+            email: emailInput?.value || "",
+            currentPassword: $("#profileCurrent")?.value || ""
+          });
+
+          if ($("#profileCurrent")) $("#profileCurrent").value = "";
+          currentField?.classList.add("is-hidden");
+
+          UI.updateNav();
+          Profile.render();
+          UI.toast({
+            title: "Perfil guardado",
+            message: emailChanged
+              ? "Te hemos enviado un enlace al nuevo email. Hasta que lo abras, seguirás entrando con el de ahora."
+              : "Tus datos se han actualizado."
+          });
+        } catch (err) {
+          UI.toast({ title: "Error", message: err.message });
+        }
+      });
+
+      UI.bindPasswordMeter(
+        $("#profileNewPassword"),
+        $("#profilePasswordMeter"),
+        () => {
+          const u = Auth.findById(user.id);
+          return { name: u?.name, email: u?.email };
+        }
+      );
+
+      $("#profilePasswordForm")?.addEventListener("submit", async (ev) => {
+        ev.preventDefault();
+
+        const pass1 = $("#profileNewPassword")?.value || "";
+        const pass2 = $("#profileNewPassword2")?.value || "";
+
+        if (pass1 !== pass2) {
+          UI.toast({ title: "Error", message: "Las contraseñas no coinciden." });
           return;
         }
 
-        const guess = clamp(Math.floor(n), 1, CONFIG.games.guessMax);
-        attempts++;
-        setAttempts();
+        try {
+          await Auth.changePassword(user.id, {
+            currentPassword: $("#profilePasswordCurrent")?.value || "",
+            newPassword: pass1
+          });
 
-        if (guess === target) {
-          finished = true;
-          $("#gHint", root).textContent = `¡Correcto! 🎉 Lo adivinaste en ${attempts} intentos.`;
+          ev.target.reset();
+          $("#profileNewPassword")?.dispatchEvent(new Event("input"));
+          Profile.render();
+          UI.toast({ title: "Contraseña cambiada", message: "La usarás la próxima vez que entres." });
+        } catch (err) {
+          UI.toast({ title: "Error", message: err.message });
+        }
+      });
 
-          if (user) {
-            const improved = Scores.updateBestLower(user.id, "guess", "bestAttempts", attempts);
-            if (improved) {
-              UI.toast({ title: "Nuevo récord", message: `Mejor marca: ${attempts} intentos` });
-              Home.updateBestStat();
-            }
-          }
-        } else if (guess < target) {
-          $("#gHint", root).textContent = "Más alto ⬆️";
-        } else {
-          $("#gHint", root).textContent = "Más bajo ⬇️";
+      $("#profileRecoveryForm")?.addEventListener("submit", async (ev) => {
+        ev.preventDefault();
+
+        try {
+          await Auth.changeRecovery(user.id, {
+            currentPassword: $("#profileRecoveryCurrent")?.value || "",
+            recovery: $("#profileRecovery")?.value || ""
+          });
+
+          ev.target.reset();
+          UI.toast({ title: "Frase actualizada", message: "Guárdala en un lugar seguro." });
+        } catch (err) {
+          UI.toast({ title: "Error", message: err.message });
         }
       });
 
-      $("#gNew", panel).addEventListener("click", newGame);
+      $("#profileExportBtn")?.addEventListener("click", () => {
+        Account.download(user.id);
+        UI.toast({ title: "Descarga lista", message: "Tus datos se han exportado en JSON." });
+      });
 
-      root.appendChild(hud);
-      root.appendChild(panel);
+      $("#profileDeleteForm")?.addEventListener("submit", async (ev) => {
+        ev.preventDefault();
 
-      if (!user) {
-        const tip = document.createElement("div");
-        tip.className = "help";
-        tip.textContent = "Inicia sesión para guardar tu mejor número de intentos.";
-        root.appendChild(tip);
-      }
+        const ok = await UI.confirm({
+          title: "Borrar cuenta",
+          message: `Esto no se puede deshacer. ${Account.deletionSummary(true)}`,
+          okText: "Borrar mi cuenta"
+        });
+        if (!ok) return;
 
-      return root;
+        try {
+          await Account.deleteOwn(user.id, $("#profileDeleteCurrent")?.value || "");
+          await Store.flush();
+          UI.toast({ title: "Cuenta borrada", message: "Sentimos verte marchar." });
+          window.location.href = "index.html";
+        } catch (err) {
+          UI.toast({ title: "Error", message: err.message });
+        }
+      });
+    }
+  };
+
+  /* ==========================================================================
+     13) ADMIN (admin.html)
+  ========================================================================== */
+  const Admin = {
+    // Pestaña abierta. Cada botón [data-tab] lleva el permiso que necesita.
+    currentTab: null,
+
+    bindTabs() {
+      Admin.currentTab = HashState.get().get("tab");
+
+      $$("[data-tab]").forEach((btn) => {
+        btn.addEventListener("click", () => {
+          Admin.currentTab = btn.getAttribute("data-tab");
+          Admin.renderTabs();
+          HashState.update((params) => params.set("tab", Admin.currentTab));
+
+          // Solo al abrirla a propósito: lo que avisaba de esta pestaña ya se está viendo.
+          const user = Auth.currentUser();
+          if (user && Notifications.unread(user.id, Admin.currentTab).length > 0) {
+            Notifications.markRead(user.id, (n) => n.tab === Admin.currentTab);
+            UI.renderNotifications();
+          }
+        });
+      });
     },
 
-    // ----------------------------------------------------------
-    // 10.3) Reflejos (reaction timer)
-    // ----------------------------------------------------------
-    reaction(game, user) {
-      const root = document.createElement("div");
-      root.className = "gameWrap";
+    // Muestra la pestaña abierta (o la primera permitida si no se puede ver).
+    renderTabs() {
+      const user = Auth.currentUser();
+      const allowed = $$("[data-tab]")
+        .filter((btn) => can(user, btn.getAttribute("data-permission")))
+        .map((btn) => btn.getAttribute("data-tab"));
 
-      let state = "idle";     // idle | waiting | ready
-      let startTime = 0;
-      let timeoutId = 0;
+      if (!allowed.includes(Admin.currentTab)) Admin.currentTab = allowed[0] || null;
 
-      const hud = document.createElement("div");
-      hud.className = "gameHud";
-      hud.innerHTML = `
-        <span class="hudStat">⚡ Mejor: <span id="rxBest">—</span></span>
-      `;
+      $$("[data-tab-panel]").forEach((panel) => {
+        panel.classList.toggle("is-hidden", panel.getAttribute("data-tab-panel") !== Admin.currentTab);
+      });
+    },
 
-      const panel = document.createElement("div");
-      panel.className = "gamePanel";
-      panel.innerHTML = `
-        <div class="reactionArea" id="rxArea" role="button" tabindex="0">
-          <div>
-            <b id="rxTitle">Pulsa para empezar</b>
-            <p id="rxText">Cuando cambie a “¡Ahora!”, haz click lo más rápido posible.</p>
-          </div>
-        </div>
-      `;
+    renderAll() {
+      Admin.renderTabs();
+      Admin.renderUsers();
+      Admin.renderComments();
+      Admin.renderMessages();
+      Admin.renderOutbox();
+      Admin.renderAudit();
+    },
+
+    // Tablas con buscador, filtros, orden y paginación (ver AdminTable).
+    bindTables() {
+      AdminTable.define("users", {
+        rows: () => Auth.listUsers(),
+        row: (u) => Admin.userRow(u),
+        empty: "No hay usuarios.",
+        search: (u) => `${u.name} ${u.email}`,
+        sorts: {
+          name: (u) => u.name,
+          email: (u) => u.email,
+          role: (u) => roleLabel(u.role),
+          createdAt: (u) => u.createdAt
+        },
+        defaultSort: { sort: "createdAt", dir: "desc" },
+        filters: [
+          {
+            key: "role",
+            label: "Rol",
+            options: () => Object.keys(ROLES).map((role) => [role, roleLabel(role)]),
+            test: (u, role) => u.role === role
+          },
+          {
+            key: "state",
+            label: "Estado",
+            options: () => [
+              ["suspended", "Suspendida"],
+              ["locked", "Bloqueada"],
+              ["unverified", "Sin verificar"],
+              ["twoFactor", "Con 2FA"]
+            ],
+            test: (u, state) =>
+              state === "suspended" ? !!Suspensions.active(u)
+                : state === "locked" ? !!Throttle.lockOf(u.email)
+                : state === "unverified" ? !u.emailVerifiedAt
+                : TwoFactor.isEnabled(u)
+          }
+        ]
+      });
 
-      // Cargar mejor marca
-      if (user) {
-        const best = Scores.getUser(user.id)?.reaction?.bestMs;
-        if (typeof best === "number") $("#rxBest", hud).textContent = Scores.formatMs(best);
-      }
+      AdminTable.define("comments", {
+        rows: () => Comments.listAll(),
+        row: (c) => Admin.commentRow(c),
+        selectable: true,
+        onSelect: (ids) => Admin.renderBulk(ids),
+        empty: "No hay comentarios.",
+        search: (c) => `${c.authorName} ${c.text}`,
+        sorts: {
+          author: (c) => c.authorName,
+          createdAt: (c) => c.createdAt,
+          status: (c) => c.status,
+          reactions: (c) => Comments.reactionCount(c)
+        },
+        defaultSort: { sort: "createdAt", dir: "desc" },
+        filters: [
+          {
+            key: "status",
+            label: "Estado",
+            options: () => Object.entries(COMMENT_STATUS),
+            test: (c, status) => c.status === status
+          },
+          {
+            key: "reports",
+            label: "Reportes",
+            options: () => [["any", "Con reportes"], ["none", "Sin reportes"]],
+            test: (c, v) => (v === "any") === !!c.reports?.length
+          },
+          {
+            key: "spam",
+            label: "Antispam",
+            options: () => [["hits", "Con avisos"], ["clean", "Sin avisos"]],
+            test: (x, v) => (v === "hits") === !!x.spam?.hits?.length
+          },
+          { key: "from", label: "Desde", type: "date", test: (c, v) => localDay(c.createdAt) >= v },
+          { key: "to", label: "Hasta", type: "date", test: (c, v) => localDay(c.createdAt) <= v }
+        ]
+      });
 
-      const setArea = (cls, title, text) => {
-        const area = $("#rxArea", panel);
-        area.className = `reactionArea ${cls || ""}`.trim();
-        $("#rxTitle", panel).textContent = title;
-        $("#rxText", panel).textContent = text;
-      };
+      AdminTable.define("messages", {
+        rows: () => Messages.list(),
+        row: (m) => Admin.messageRow(m),
+        empty: "No hay mensajes.",
+        search: (m) => `${m.name} ${m.email} ${m.subject} ${m.body}`,
+        sorts: {
+          name: (m) => m.name,
+          email: (m) => m.email,
+          subject: (m) => m.subject,
+          createdAt: (m) => m.createdAt,
+          status: (m) => Object.keys(MESSAGE_STATUS).indexOf(m.status)
+        },
+        defaultSort: { sort: "createdAt", dir: "desc" },
+        filters: [
+          {
+            key: "status",
+            label: "Estado",
+            options: () => Object.entries(MESSAGE_STATUS),
+            test: (m, status) => m.status === status
+          },
+          {
+            key: "assignee",
+            label: "Asignado a",
+            options: () => [["me", "A mí"], ["none", "Sin asignar"], ...Admin.supportAgents().map((u) => [u.id, u.name])],
+            test: (m, v) =>
+              v === "me" ? m.assigneeId === Auth.currentUser()?.id : v === "none" ? !m.assigneeId : m.assigneeId === v
+          },
+          {
+            key: "spam",
+            label: "Antispam",
+            options: () => [["quarantined", "En cuarentena"], ["hits", "Con avisos"], ["clean", "Sin avisos"]],
+            test: (m, v) => (v === "quarantined" ? !!m.quarantined : (v === "hits") === !!m.spam?.hits?.length)
+          },
+          { key: "from", label: "Desde", type: "date", test: (m, v) => localDay(m.createdAt) >= v },
+          { key: "to", label: "Hasta", type: "date", test: (m, v) => localDay(m.createdAt) <= v }
+        ]
+      });
 
-      const reset = () => {
-        state = "idle";
-        startTime = 0;
-        clearTimeout(timeoutId);
-        timeoutId = 0;
-        setArea("", "Pulsa para empezar", "Cuando cambie a “¡Ahora!”, haz click lo más rápido posible.");
-      };
+      window.addEventListener("hashchange", () => {
+        Admin.currentTab = HashState.get().get("tab") || Admin.currentTab;
+        Admin.renderTabs();
+        AdminTable.reloadFromHash();
+      });
+    },
 
-      const start = () => {
-        state = "waiting";
-        setArea("is-ready", "Espera…", "No pulses todavía.");
-        const delay = CONFIG.games.reactionMinDelay +
-          Math.floor(Math.random() * (CONFIG.games.reactionMaxDelay - CONFIG.games.reactionMinDelay));
+    renderUsers() {
+      if (!can(Auth.currentUser(), "users.manage")) return;
+      AdminTable.render("users");
+    },
 
-        timeoutId = window.setTimeout(() => {
-          state = "ready";
-          startTime = performance.now();
-          setArea("is-go", "¡Ahora!", "Haz click (o pulsa Enter).");
-        }, delay);
-      };
+    userRow(u) {
+      const current = Auth.currentUser();
 
-      const hit = () => {
-        if (state === "idle") {
-          start();
-          return;
-        }
+      const canDelete = current && u.id !== current.id;
+      const canChangeRole = current && u.id !== current.id;
 
-        if (state === "waiting") {
-          // Pulsó demasiado pronto
-          UI.toast({ title: "Ups", message: "Demasiado pronto. Inténtalo otra vez." });
-          reset();
-          return;
-        }
+      const roleOptions = Object.keys(ROLES)
+        .map((role) => `<option value="${role}" ${role === u.role ? "selected" : ""}>${escapeHtml(roleLabel(role))}</option>`)
+        .join("");
 
-        if (state === "ready") {
-          const ms = Math.round(performance.now() - startTime);
-          UI.toast({ title: "Tiempo", message: `${Scores.formatMs(ms)}` });
+      const lock = Throttle.lockOf(u.email);
+      const suspension = Suspensions.active(u);
 
-          setArea("", "¡Bien!", `Tu tiempo: ${Scores.formatMs(ms)}. Pulsa para jugar otra vez.`);
-          state = "idle";
+      return `
+        <td>
+          ${escapeHtml(u.name)}
+          ${lock ? `<br><small>🔒 Bloqueada hasta ${escapeHtml(formatDate(lock.lockedUntil))}</small>` : ""}
+          ${
+            suspension
+              ? `<br><small>⛔ Suspendida ${suspension.until ? `hasta ${escapeHtml(formatDate(suspension.until))}` : "indefinidamente"}: ${escapeHtml(suspension.reason)}</small>`
+              : ""
+          }
+        </td>
+        <td>${escapeHtml(u.email)}</td>
+        <td>
+          ${
+            canChangeRole
+              ? `<select class="input" data-admin="setRole" data-user-id="${u.id}" aria-label="Rol de ${escapeHtml(u.name)}">${roleOptions}</select>`
+              : `<b>${escapeHtml(roleLabel(u.role))}</b>`
+          }
+        </td>
+        <td><small>${escapeHtml(formatDate(u.createdAt))}</small></td>
+        <td style="display:flex; gap:8px; flex-wrap:wrap;">
+          ${
+            lock
+              ? `<button class="btn btn--primary" data-admin="unlockUser" data-user-id="${u.id}" type="button">Desbloquear</button>`
+              : ""
+          }
+          ${
+            canDelete && suspension
+              ? `<button class="btn btn--primary" data-admin="liftSuspension" data-user-id="${u.id}" type="button">Levantar sanción</button>`
+              : ""
+          }
+          ${
+            canDelete && !suspension
+              ? `<button class="btn btn--ghost" data-admin="suspendUser" data-user-id="${u.id}" type="button">Suspender</button>`
+              : ""
+          }
+          ${
+            canDelete
+              ? `<button class="btn btn--ghost" data-admin="deleteUser" data-user-id="${u.id}" type="button">Borrar</button>`
+              : `<span class="muted">—</span>`
+          }
+        </td>
+      `;
+    },
 
-          if (user) {
-            const improved = Scores.updateBestLower(user.id, "reaction", "bestMs", ms);
-            if (improved) {
-              $("#rxBest", hud).textContent = Scores.formatMs(ms);
-              UI.toast({ title: "Nuevo récord", message: `Mejor tiempo: ${Scores.formatMs(ms)}` });
-              Home.updateBestStat();
-            }
+    renderComments() {
+      if (!can(Auth.currentUser(), "comments.moderate")) return;
+      AdminTable.render("comments");
+      Admin.focusComment(Admin.focusedComment && Comments.find(Admin.focusedComment) ? Admin.focusedComment : null);
+    },
+
+    commentRow(c) {
+      const status = COMMENT_STATUS[c.status] || c.status;
+      const parent = c.parentId ? Comments.find(c.parentId) : null;
+      const replies = Comments.replyIds(c.id).length;
+
+      return `
+        <td>${escapeHtml(c.authorName)}</td>
+        <td><small>${escapeHtml(formatDate(c.createdAt))}</small></td>
+        <td>
+          <b>${escapeHtml(status)}</b>
+          ${c.status === "rejected" && c.moderationNote ? `<br><small>📝 ${escapeHtml(c.moderationNote)}</small>` : ""}
+          ${Admin.spamInfo(c.spam)}
+          ${Admin.commentReports(c)}
+        </td>
+        <td>
+          ${parent ? `<small>↳ Respuesta a ${escapeHtml(parent.authorName)}</small><br>` : ""}
+          <span class="md">${Markdown.excerpt(c.text, 120)}</span>
+          ${replies ? `<br><small>💬 ${replies} respuesta${replies === 1 ? "" : "s"}</small>` : ""}
+          ${Admin.commentHistory(c)}
+        </td>
+        <td>
+          <b>${Comments.reactionCount(c)}</b>
+          ${
+            Comments.reactionCount(c)
+              ? `<br><small>${COMMENT_REACTIONS.filter((e) => Comments.reactionCount(c, e))
+                  .map((e) => `${e} ${Comments.reactionCount(c, e)}`)
+                  .join(" · ")}</small>`
+              : ""
           }
-        }
-      };
+        </td>
+        <td style="display:flex; gap:8px; flex-wrap:wrap;">
+          ${
+            ["pending", "rejected", "quarantined", "flagged"].includes(c.status)
+              ? `<button class="btn btn--primary" data-admin="approveComment" data-comment-id="${c.id}" type="button">Aprobar</button>`
+              : ""
+          }
+          ${
+            ["pending", "quarantined", "flagged"].includes(c.status)
+              ? `<button class="btn btn--ghost" data-admin="rejectComment" data-comment-id="${c.id}" type="button">Rechazar</button>`
+              : ""
+          }
+          <button class="btn btn--ghost" data-admin="deleteComment" data-comment-id="${c.id}" type="button">Borrar</button>
+        </td>
+      `;
+    },
 
-      const area = $("#rxArea", panel);
-      area.addEventListener("click", hit);
-      area.addEventListener("keydown", (ev) => {
-        if (ev.key === "Enter" || ev.key === " ") {
-          ev.preventDefault();
-          hit();
-        }
-      });
+    // Reportes de usuarios (quién y por qué).
+    commentReports(c) {
+      if (!c.reports?.length) return "";
+
+      return `
+        <details class="editHistory" ${c.status === "flagged" ? "open" : ""}>
+          <summary><small>🚩 ${c.reports.length} reporte${c.reports.length === 1 ? "" : "s"}</small></summary>
+          <ol>
+            ${c.reports
+              .map((r) => `<li><small>${escapeHtml(r.userName)} · ${escapeHtml(REPORT_REASONS[r.reason] || r.reason)} · ${escapeHtml(formatDate(r.at))}</small></li>`)
+              .join("")}
+          </ol>
+        </details>
+      `;
+    },
 
-      root.appendChild(hud);
-      root.appendChild(panel);
+    // Versiones anteriores de un comentario editado por su autor.
+    commentHistory(c) {
+      if (!c.history?.length) return "";
+
+      return `
+        <details class="editHistory">
+          <summary><small>✏️ Editado ${c.history.length} ${c.history.length === 1 ? "vez" : "veces"} · ${escapeHtml(formatDate(c.editedAt))}</small></summary>
+          <ol>
+            ${c.history
+              .map((h) => `<li><small>${escapeHtml(formatDate(h.at))}</small><br><span class="md">${Markdown.render(h.text)}</span></li>`)
+              .join("")}
+          </ol>
+        </details>
+      `;
+    },
 
-      if (!user) {
-        const tip = document.createElement("div");
-        tip.className = "help";
-        tip.textContent = "Inicia sesión para guardar tu mejor tiempo de reacción.";
-        root.appendChild(tip);
-      }
+    renderMessages() {
+      if (!can(Auth.currentUser(), "messages.read")) return;
+      AdminTable.render("messages");
+      Admin.renderThread();
+    },
 
-      return root;
+    messageRow(m) {
+      const assignee = m.assigneeId ? Auth.findById(m.assigneeId) : null;
+
+      return `
+        <td>${escapeHtml(m.name)}</td>
+        <td>${escapeHtml(m.email)}</td>
+        <td>${escapeHtml(m.subject)}</td>
+        <td>${escapeHtml(m.body).slice(0, 140)}${m.body.length > 140 ? "…" : ""}</td>
+        <td><small>${escapeHtml(formatDate(m.createdAt))}</small></td>
+        <td>
+          <b>${escapeHtml(MESSAGE_STATUS[m.status] || m.status)}</b>
+          ${assignee ? `<br><small>👤 ${escapeHtml(assignee.name)}</small>` : ""}
+          ${m.replies?.length ? `<br><small>↩️ ${m.replies.length} respuesta${m.replies.length === 1 ? "" : "s"}</small>` : ""}
+          ${m.notes?.length ? `<br><small>🗒️ ${m.notes.length} nota${m.notes.length === 1 ? "" : "s"}</small>` : ""}
+        </td>
+        <td>
+          ${m.quarantined ? "<b>En cuarentena</b>" : ""}
+          ${Admin.spamInfo(m.spam)}
+          ${
+            m.quarantined
+              ? `<br><button class="btn btn--ghost" data-admin="releaseMessage" data-message-id="${m.id}" type="button">No es spam</button>`
+              : ""
+          }
+        </td>
+        <td>
+          <button class="btn btn--primary" data-admin="openMessage" data-message-id="${m.id}" type="button">Abrir</button>
+        </td>
+      `;
     },
 
-    // ----------------------------------------------------------
-    // 10.4) Memory (parejas)
-    // ----------------------------------------------------------
-    memory(game, user) {
-      const root = document.createElement("div");
-      root.className = "gameWrap";
+    // Quién puede llevar la bandeja (para asignar).
+    supportAgents() {
+      return Auth.listUsers().filter((u) => can(u, "messages.read"));
+    },
 
-      const icons = ["🍓","🍋","🍇","🍒","🥝","🍑","🍉","🍍"];
-      const deck = shuffle([...icons, ...icons]);
+    // Conversación abierta en la pestaña Mensajes.
+    openThreadId: null,
 
-      let first = null;
-      let second = null;
-      let lock = false;
+    openThread(messageId) {
+      const m = Messages.find(messageId);
+      if (!m) return;
 
-      let moves = 0;
-      let matched = 0;
+      // Al abrir uno nuevo pasa a “Leído”.
+      if (m.status === "new") {
+        Messages.setStatus(m.id, "read");
+        Audit.log("message.status", {
+          target: Audit.messageTarget(m),
+          before: { status: "new" },
+          after: { status: "read" }
+        });
+      }
 
-      const hud = document.createElement("div");
-      hud.className = "gameHud";
-      hud.innerHTML = `
-        <span class="hudStat">🧠 Movimientos: <span id="mMoves">0</span></span>
-        <span class="hudStat">✅ Parejas: <span id="mPairs">0</span> / ${icons.length}</span>
-        <span class="hudStat">🏆 Mejor: <span id="mBest">—</span></span>
-      `;
+      Admin.openThreadId = m.id;
+      $("#threadReplyForm")?.reset();
+      $("#threadNoteForm")?.reset();
+      Admin.renderMessages();
+      $("#messageThread")?.scrollIntoView({ block: "nearest" });
+    },
 
-      if (user) {
-        const best = Scores.getUser(user.id)?.memory?.bestMoves;
-        if (typeof best === "number") $("#mBest", hud).textContent = String(best);
+    closeThread() {
+      Admin.openThreadId = null;
+      $("#messageThread")?.classList.add("is-hidden");
+    },
+
+    renderThread() {
+      const box = $("#messageThread");
+      if (!box) return;
+
+      const m = Admin.openThreadId ? Messages.find(Admin.openThreadId) : null;
+      if (!m) {
+        Admin.closeThread();
+        return;
       }
 
-      const panel = document.createElement("div");
-      panel.className = "gamePanel";
+      $("#threadTitle").textContent = m.subject;
+      $("#threadMeta").textContent = `${m.name} <${m.email}> · ${formatDate(m.createdAt)}`;
+
+      fillSelect($("#threadStatus"), Object.entries(MESSAGE_STATUS));
+      $("#threadStatus").value = m.status;
+      fillSelect($("#threadAssignee"), [["", "Sin asignar"], ...Admin.supportAgents().map((u) => [u.id, u.name])]);
+      $("#threadAssignee").value = m.assigneeId || "";
+
+      // Mensaje original + respuestas + notas internas, por orden de fecha.
+      const entries = [
+        { kind: "message", who: m.name, text: m.body, at: m.createdAt },
+        ...(m.replies || []).map((r) => ({ kind: "reply", who: r.authorName, text: r.text, at: r.at, mailStatus: r.mailStatus })),
+        ...(m.notes || []).map((n) => ({ kind: "note", who: n.authorName, text: n.text, at: n.at }))
+      ].sort((a, b) => (a.at < b.at ? -1 : 1));
+
+      const kinds = { message: "✉️ Mensaje", reply: "↩️ Respuesta", note: "🗒️ Nota interna" };
+
+      $("#threadBody").innerHTML = entries
+        .map(
+          (e) => `
+            <div class="thread__item thread__item--${e.kind}">
+              <small>${kinds[e.kind]} · <b>${escapeHtml(e.who)}</b> · ${escapeHtml(formatDate(e.at))}${
+                e.mailStatus === "failed" ? " · ⚠️ email no enviado" : ""
+              }</small>
+              <p>${escapeHtml(e.text).replace(/\n/g, "<br>")}</p>
+            </div>
+          `
+        )
+        .join("");
 
-      const grid = document.createElement("div");
-      grid.className = "memoryGrid";
+      box.classList.remove("is-hidden");
+    },
 
-      const setHud = () => {
-        $("#mMoves", hud).textContent = String(moves);
-        $("#mPairs", hud).textContent = String(matched);
-      };
+    bindThread() {
+      const box = $("#messageThread");
+      if (!box) return;
 
-      const makeCard = (icon, idx) => {
-        const card = document.createElement("button");
-        card.type = "button";
-        card.className = "memCard";
-        card.setAttribute("data-icon", icon);
-        card.setAttribute("data-idx", String(idx));
-        card.innerHTML = `
-          <div class="memInner">
-            <div class="memFace memFront">?</div>
-            <div class="memFace memBack">${icon}</div>
-          </div>
-        `;
-        return card;
-      };
+      $("#threadClose")?.addEventListener("click", () => Admin.closeThread());
 
-      deck.forEach((icon, idx) => grid.appendChild(makeCard(icon, idx)));
+      const current = () => (Admin.openThreadId ? Messages.find(Admin.openThreadId) : null);
 
-      const resetPick = () => {
-        first = null;
-        second = null;
-        lock = false;
-      };
+      $("#threadStatus")?.addEventListener("change", (ev) => {
+        const m = current();
+        if (!m || !Admin.allowed("setMessageStatus")) return;
 
-      const checkWin = () => {
-        if (matched !== icons.length) return;
+        Messages.setStatus(m.id, ev.target.value);
+        Audit.log("message.status", {
+          target: Audit.messageTarget(m),
+          before: { status: m.status },
+          after: { status: ev.target.value }
+        });
+        Admin.renderMessages();
+      });
 
-        UI.toast({ title: "¡Completado!", message: `Terminaste en ${moves} movimientos.` });
+      $("#threadAssignee")?.addEventListener("change", (ev) => {
+        const m = current();
+        if (!m || !Admin.allowed("assignMessage")) return;
 
-        if (user) {
-          const improved = Scores.updateBestLower(user.id, "memory", "bestMoves", moves);
-          if (improved) {
-            $("#mBest", hud).textContent = String(moves);
-            UI.toast({ title: "Nuevo récord", message: `Mejor marca: ${moves} movimientos` });
-            Home.updateBestStat();
-          }
+        try {
+          Messages.assign(m.id, ev.target.value || null);
+          Audit.log("message.assign", {
+            target: Audit.messageTarget(m),
+            before: { assigneeId: m.assigneeId || null },
+            after: { assigneeId: ev.target.value || null }
+          });
+          Admin.renderMessages();
+        } catch (err) {
+          UI.toast({ title: "Error", message: err.message });
         }
-      };
+      });
 
-      grid.addEventListener("click", (ev) => {
-        const card = ev.target.closest(".memCard");
-        if (!card) return;
+      $("#threadReplyForm")?.addEventListener("submit", async (ev) => {
+        ev.preventDefault();
+        const m = current();
+        if (!m || !Admin.allowed("replyMessage")) return;
 
-        if (lock) return;
-        if (card.classList.contains("is-matched")) return;
-        if (card === first) return;
+        try {
+          const updated = await Messages.reply(m.id, Auth.currentUser(), $("#threadReply")?.value || "");
+          const reply = updated.replies[updated.replies.length - 1];
+
+          Audit.log("message.reply", {
+            target: Audit.messageTarget(m),
+            before: { status: m.status },
+            after: { status: updated.status },
+            meta: { mailId: reply.mailId, mailStatus: reply.mailStatus }
+          });
 
-        card.classList.add("is-flipped");
+          ev.target.reset();
+          UI.toast(
+            reply.mailStatus === "failed"
+              ? { title: "Respuesta guardada", message: "No se pudo enviar el email (mira la pestaña Correo)." }
+              : { title: "Respuesta enviada", message: `Se ha enviado a ${m.email}.` }
+          );
+          Admin.renderMessages();
+          Admin.renderOutbox();
+        } catch (err) {
+          UI.toast({ title: "Error", message: err.message });
+        }
+      });
 
-        if (!first) {
-          first = card;
-          return;
+      $("#threadNoteForm")?.addEventListener("submit", (ev) => {
+        ev.preventDefault();
+        const m = current();
+        if (!m || !Admin.allowed("noteMessage")) return;
+
+        try {
+          Messages.addNote(m.id, Auth.currentUser(), $("#threadNote")?.value || "");
+          ev.target.reset();
+          Admin.renderMessages();
+        } catch (err) {
+          UI.toast({ title: "Error", message: err.message });
         }
+      });
+    },
 
-        second = card;
-        lock = true;
-        moves++;
-        setHud();
+    // Reglas antispam que saltaron (score + detalle).
+    spamInfo(spam) {
+      if (!spam?.hits?.length) return "";
+      return `<br><small title="${escapeHtml(Spam.describe(spam))}">🛡️ Spam ${spam.score}: ${escapeHtml(Spam.describe(spam))}</small>`;
+    },
 
-        const a = first.getAttribute("data-icon");
-        const b = second.getAttribute("data-icon");
+    renderOutbox() {
+      const tbody = $("#outboxTbody");
+      if (!tbody || !can(Auth.currentUser(), "mail.read")) return;
 
-        if (a === b) {
-          first.classList.add("is-matched");
-          second.classList.add("is-matched");
-          matched++;
-          setHud();
-          resetPick();
-          checkWin();
-          return;
-        }
+      const all = Mail.list();
+      tbody.innerHTML = "";
 
-        // No coincide → vuelta atrás
-        window.setTimeout(() => {
-          first.classList.remove("is-flipped");
-          second.classList.remove("is-flipped");
-          resetPick();
-        }, 520);
+      if (all.length === 0) {
+        const tr = document.createElement("tr");
+        tr.innerHTML = `<td colspan="5" class="muted">No se ha enviado ningún email.</td>`;
+        tbody.appendChild(tr);
+        return;
+      }
+
+      const statusLabel = { queued: "En outbox", sent: "Enviado", failed: "Error" };
+
+      all.forEach((m) => {
+        // Los enlaces del texto se pueden abrir desde aquí (útil con el outbox local).
+        const text = escapeHtml(m.text).replace(
+          /(https?:\/\/[^\s<]+)/g,
+          `<a href="$1" target="_blank" rel="noopener">$1</a>`
+        );
+
+        const tr = document.createElement("tr");
+        tr.innerHTML = `
+          <td>${escapeHtml(m.to)}</td>
+          <td>${escapeHtml(m.subject)}</td>
+          <td><b>${escapeHtml(statusLabel[m.status] || m.status)}</b>${m.error ? `<br><small>${escapeHtml(m.error)}</small>` : ""}</td>
+          <td><small style="white-space:pre-wrap; word-break:break-all;">${text}</small></td>
+          <td><small>${escapeHtml(formatDate(m.createdAt))}</small></td>
+        `;
+        tbody.appendChild(tr);
       });
+    },
+
+    // Aprueba / rechaza / borra uno o varios comentarios (pide confirmación o nota).
+    // Devuelve cuántos se han moderado (0 si se cancela).
+    async moderate(ids, decision) {
+      const comments = ids.map((id) => Comments.find(id)).filter(Boolean);
+      if (comments.length === 0) return 0;
+
+      const many = comments.length > 1;
+      let note = "";
+
+      if (decision === "reject") {
+        note = await UI.prompt({
+          title: many ? `Rechazar ${comments.length} comentarios` : "Rechazar comentario",
+          message: "Nota para el autor (opcional): la verá junto a su comentario.",
+          placeholder: "Ej: no respeta las normas de la comunidad",
+          okText: "Rechazar"
+        });
+        if (note === null) return 0;
+      }
+
+      // Borrar con respuestas: se elige entre borrar el hilo entero o dejar las respuestas.
+      let thread = false;
+
+      if (decision === "delete") {
+        const replies = new Set(comments.flatMap((c) => Comments.replyIds(c.id)));
+        const title = many ? "Borrar comentarios" : "Borrar comentario";
+        const message = many
+          ? `¿Seguro que quieres borrar ${comments.length} comentarios?`
+          : "¿Seguro que quieres borrar este comentario?";
+
+        if (replies.size > 0) {
+          thread = await UI.confirmOption({
+            title,
+            message: `${message} Tiene${many ? "n" : ""} ${replies.size} respuesta${replies.size === 1 ? "" : "s"}: si las conservas, suben un nivel en el hilo.`,
+            option: "Borrar también las respuestas",
+            okText: "Borrar"
+          });
+          if (thread === null) return 0;
+        } else {
+          const ok = await UI.confirm({ title, message });
+          if (!ok) return 0;
+        }
+      }
+
+      comments.forEach((c) => {
+        const meta = many ? { bulk: comments.length } : null;
 
-      const row = document.createElement("div");
-      row.className = "btnRow";
-      row.innerHTML = `
-        <button class="btn btn--ghost" type="button" id="mReset">Reiniciar</button>
-      `;
+        if (decision === "approve") {
+          Comments.approve(c.id);
+          Audit.log("comment.approve", {
+            target: Audit.commentTarget(c), before: { status: c.status }, after: { status: "approved" }, meta
+          });
+        }
 
-      $("#mReset", row).addEventListener("click", () => {
-        // Reinicio simple: reabrimos el juego desde cero
-        Games.open("memory");
+        if (decision === "reject") {
+          Comments.reject(c.id, note);
+          Audit.log("comment.reject", {
+            target: Audit.commentTarget(c),
+            before: { status: c.status },
+            after: { status: "rejected", moderationNote: note.trim() || null },
+            meta
+          });
+        }
+
+        if (decision === "delete") {
+          const all = Comments.listAll();
+          if (!all.some((x) => x.id === c.id)) return; // Ya cayó con el hilo de otro seleccionado.
+
+          const replies = thread ? Comments.replyIds(c.id, all).map((id) => all.find((x) => x.id === id)) : [];
+          Comments.remove(c.id, { thread });
+          Audit.log("comment.delete", {
+            target: Audit.commentTarget(c),
+            before: c,
+            meta: replies.length ? { ...meta, replies: replies.length } : meta
+          });
+          replies.forEach((r) => {
+            Audit.log("comment.delete", { target: Audit.commentTarget(r), before: r, meta: { thread: c.id } });
+          });
+        }
       });
 
-      panel.appendChild(grid);
-      panel.appendChild(document.createElement("div")).className = "spacer";
-      panel.appendChild(row);
+      const done = {
+        approve: ["Aprobado", many ? `${comments.length} comentarios publicados.` : "El comentario ya es público."],
+        reject: ["Rechazado", many ? `${comments.length} comentarios rechazados.` : "El autor verá el motivo."],
+        delete: ["Borrado", many ? `${comments.length} comentarios eliminados.` : "Comentario eliminado."]
+      }[decision];
 
-      root.appendChild(hud);
-      root.appendChild(panel);
-      setHud();
+      UI.toast({ title: done[0], message: done[1] });
+      Admin.renderComments();
+      return comments.length;
+    },
 
-      if (!user) {
-        const tip = document.createElement("div");
-        tip.className = "help";
-        tip.textContent = "Inicia sesión para guardar tu mejor número de movimientos.";
-        root.appendChild(tip);
-      }
+    renderBulk(ids) {
+      const count = $("#commentsBulkCount");
+      if (count) count.textContent = ids.length === 1 ? "1 seleccionado" : `${ids.length} seleccionados`;
 
-      return root;
+      $$("#commentsBulk [data-admin]").forEach((btn) => { btn.disabled = ids.length === 0; });
     },
 
-    // ----------------------------------------------------------
-    // 10.5) Whack (golpea al “pixel”)
-    // ----------------------------------------------------------
-    whack(game, user) {
-      const root = document.createElement("div");
-      root.className = "gameWrap";
+    // Cola de pendientes con teclado (pestaña Comentarios):
+    // J/↓ siguiente · K/↑ anterior · A aprobar · R rechazar · D/Supr borrar · X marcar.
+    focusedComment: null,
 
-      let score = 0;
-      let bestScore = 0;
-      let timeLeft = CONFIG.games.whackSeconds;
+    pendingQueue() {
+      return AdminTable.visibleRows("comments").filter((c) => ["pending", "quarantined", "flagged"].includes(c.status));
+    },
 
-      let running = false;
-      let timerId = 0;
-      let activeIndex = -1;
+    focusComment(commentId) {
+      Admin.focusedComment = commentId;
+      if (commentId) AdminTable.showRow("comments", commentId);
 
-      const hud = document.createElement("div");
-      hud.className = "gameHud";
-      hud.innerHTML = `
-        <span class="hudStat">👾 Puntos: <span id="wScore">0</span></span>
-        <span class="hudStat">⏱️ Tiempo: <span id="wTime">${CONFIG.games.whackSeconds}</span>s</span>
-        <span class="hudStat">🏆 Mejor: <span id="wBest">—</span></span>
-      `;
+      $$("#commentsTbody tr").forEach((tr) => {
+        const active = !!commentId && tr.dataset.rowId === commentId;
+        tr.classList.toggle("is-focused", active);
+        if (active) tr.scrollIntoView({ block: "nearest" });
+      });
+    },
 
-      if (user) {
-        const best = Scores.getUser(user.id)?.whack?.bestScore;
-        if (typeof best === "number") {
-          bestScore = best;
-          $("#wBest", hud).textContent = String(best);
-        }
+    // Mueve el foco dentro de la cola (step = 1 siguiente, -1 anterior).
+    stepQueue(step) {
+      const queue = Admin.pendingQueue();
+      if (queue.length === 0) {
+        Admin.focusComment(null);
+        UI.toast({ title: "Cola vacía", message: "No hay comentarios pendientes con estos filtros." });
+        return;
       }
 
-      const panel = document.createElement("div");
-      panel.className = "gamePanel";
-      panel.innerHTML = `
-        <p class="muted" style="margin:0 0 12px;">
-          Haz click en el “pixel” brillante tantas veces como puedas antes de que acabe el tiempo.
-        </p>
+      const index = queue.findIndex((c) => c.id === Admin.focusedComment);
+      const next = index < 0 ? (step > 0 ? 0 : queue.length - 1) : Math.min(Math.max(index + step, 0), queue.length - 1);
+      Admin.focusComment(queue[next].id);
+    },
 
-        <div class="whackGrid" id="wGrid"></div>
+    bindShortcuts() {
+      document.addEventListener("keydown", async (ev) => {
+        if (Admin.currentTab !== "comments" || !can(Auth.currentUser(), "comments.moderate")) return;
+        if (ev.ctrlKey || ev.metaKey || ev.altKey) return;
+        if (ev.target.closest?.("input, textarea, select, [contenteditable]")) return;
+        if ($("#modal")?.classList.contains("is-open")) return;
 
-        <div class="spacer"></div>
+        const key = ev.key.toLowerCase();
+        const id = Admin.focusedComment;
 
-        <div class="btnRow">
-          <button class="btn btn--primary" id="wStart" type="button">Empezar</button>
-          <button class="btn btn--ghost" id="wStop" type="button">Parar</button>
-        </div>
-      `;
+        if (key === "j" || key === "arrowdown") {
+          ev.preventDefault();
+          Admin.stepQueue(1);
+          return;
+        }
+        if (key === "k" || key === "arrowup") {
+          ev.preventDefault();
+          Admin.stepQueue(-1);
+          return;
+        }
 
-      const grid = $("#wGrid", panel);
+        if (!id) return;
 
-      // Crear 9 celdas
-      for (let i = 0; i < 9; i++) {
-        const cell = document.createElement("button");
-        cell.type = "button";
-        cell.className = "whackCell";
-        cell.setAttribute("data-idx", String(i));
-        cell.innerHTML = `<span class="whackDot"></span>`;
-        grid.appendChild(cell);
-      }
+        if (key === "x") {
+          const box = $(`#commentsTbody [data-select-row="${id}"]`);
+          if (box) {
+            box.checked = !box.checked;
+            box.dispatchEvent(new Event("change", { bubbles: true }));
+          }
+          return;
+        }
 
-      const setHud = () => {
-        $("#wScore", hud).textContent = String(score);
-        $("#wTime", hud).textContent = String(timeLeft);
-        $("#wBest", hud).textContent = user ? String(bestScore) : "—";
-      };
+        const decision = key === "a" ? "approve" : key === "r" ? "reject" : key === "d" || key === "delete" ? "delete" : null;
+        if (!decision) return;
+        ev.preventDefault();
 
-      const clearActive = () => {
-        if (activeIndex < 0) return;
-        const active = grid.querySelector(`.whackCell[data-idx="${activeIndex}"]`);
-        active?.classList.remove("is-active");
-        activeIndex = -1;
-      };
+        // Tras moderar, el foco pasa al siguiente de la cola.
+        const queue = Admin.pendingQueue();
+        const index = queue.findIndex((c) => c.id === id);
+        const next = queue[index + 1] || queue[index - 1] || null;
 
-      const pickNew = () => {
-        clearActive();
-        activeIndex = Math.floor(Math.random() * 9);
-        const next = grid.querySelector(`.whackCell[data-idx="${activeIndex}"]`);
-        next?.classList.add("is-active");
-      };
+        if (await Admin.moderate([id], decision)) Admin.focusComment(next?.id || null);
+      });
+    },
 
-      const stop = () => {
-        running = false;
-        clearInterval(timerId);
-        timerId = 0;
-        clearActive();
-      };
+    // Usuario que se está suspendiendo (formulario de la pestaña Usuarios).
+    suspending: null,
 
-      const finish = () => {
-        stop();
-        UI.toast({ title: "Fin", message: `Puntuación: ${score}` });
+    openSuspendForm(user) {
+      const form = $("#suspendForm");
+      if (!form) return;
 
-        if (user) {
-          const improved = Scores.updateBestHigher(user.id, "whack", "bestScore", score);
-          if (improved) {
-            bestScore = Math.max(bestScore, score);
-            UI.toast({ title: "Nuevo récord", message: `Mejor puntuación: ${bestScore}` });
-            Home.updateBestStat();
-          }
-        }
-      };
+      Admin.suspending = user.id;
+      form.reset();
+      $("#suspendTitle").textContent = `Suspender a ${user.name}`;
+      form.classList.remove("is-hidden");
+      $("#suspendReason")?.focus();
+    },
 
-      const start = () => {
-        score = 0;
-        timeLeft = CONFIG.games.whackSeconds;
-        running = true;
-        setHud();
-        pickNew();
+    closeSuspendForm() {
+      Admin.suspending = null;
+      $("#suspendForm")?.classList.add("is-hidden");
+    },
 
-        clearInterval(timerId);
-        timerId = window.setInterval(() => {
-          timeLeft--;
-          setHud();
+    bindSuspend() {
+      const form = $("#suspendForm");
+      if (!form) return;
 
-          if (timeLeft <= 0) finish();
-          else pickNew();
-        }, 1000);
-      };
+      $("#suspendCancel")?.addEventListener("click", () => Admin.closeSuspendForm());
 
-      grid.addEventListener("click", (ev) => {
-        const cell = ev.target.closest(".whackCell");
-        if (!cell) return;
-        if (!running) return;
+      form.addEventListener("submit", (ev) => {
+        ev.preventDefault();
+        if (!Admin.allowed("suspendUser")) return;
 
-        const idx = Number(cell.getAttribute("data-idx"));
-        if (idx !== activeIndex) return;
+        const u = Auth.findById(Admin.suspending);
+        if (!u) return;
 
-        score++;
-        setHud();
-        pickNew();
-      });
+        try {
+          const suspension = Suspensions.suspend(u.id, {
+            reason: $("#suspendReason")?.value || "",
+            until: $("#suspendUntil")?.value || "",
+            actor: Auth.currentUser()
+          });
 
-      $("#wStart", panel).addEventListener("click", start);
-      $("#wStop", panel).addEventListener("click", () => {
-        stop();
-        UI.toast({ title: "Pausado", message: "Pulsa “Empezar” para reiniciar." });
+          Audit.log("user.suspend", {
+            target: Audit.userTarget(u),
+            before: { suspension: u.suspension || null },
+            after: { suspension }
+          });
+
+          Admin.closeSuspendForm();
+          UI.toast({
+            title: "Usuario suspendido",
+            message: suspension.until
+              ? `"${u.name}" no podrá entrar hasta el ${formatDate(suspension.until)}.`
+              : `"${u.name}" queda suspendido indefinidamente.`
+          });
+          Admin.renderUsers();
+          Admin.renderComments();
+        } catch (err) {
+          UI.toast({ title: "Error", message: err.message });
+        }
       });
+    },
 
-      root.appendChild(hud);
-      root.appendChild(panel);
-      setHud();
+    // Filtros actuales del formulario de auditoría.
+    auditFilters() {
+      return {
+        actorId: $("#auditActor")?.value || "",
+        action: $("#auditAction")?.value || "",
+        from: $("#auditFrom")?.value || "",
+        to: $("#auditTo")?.value || ""
+      };
+    },
 
-      if (!user) {
-        const tip = document.createElement("div");
-        tip.className = "help";
-        tip.textContent = "Inicia sesión para guardar tu mejor puntuación.";
-        root.appendChild(tip);
-      }
+    // Texto corto del cambio: "role: user → admin" o los datos previos/extra.
+    describeChange(entry) {
+      const short = (v) => {
+        const text = typeof v === "string" ? v : JSON.stringify(v);
+        return text.length > 80 ? `${text.slice(0, 80)}…` : text;
+      };
 
-      return root;
-    }
-  };
+      const { before, after, meta } = entry;
+      const parts = [];
 
-  /* ==========================================================================
-     11) JUEGOS (CATÁLOGO + APERTURA DEL MODAL)
-  ========================================================================== */
-  const Games = {
-    data: [
-      {
-        id: "reaction",
-        title: "Reflejos",
-        subtitle: "¿Qué tan rápido reaccionas?",
-        desc: "Espera la señal y haz click en el momento exacto. Cuanto más bajo, mejor.",
-        icon: "⚡",
-        tag: "SPEED",
-        meta: ["1 jugador", "Rápido", "ms"],
-        g1: "#22c1c3",
-        g2: "#8a5cff"
-      },
-      {
-        id: "guess",
-        title: "Adivina el número",
-        subtitle: "Del 1 al 100",
-        desc: "Encuentra el número secreto con las pistas “más alto / más bajo”.",
-        icon: "🎯",
-        tag: "PUZZLE",
-        meta: ["1 jugador", "Lógica", "intent."],
-        g1: "#8a5cff",
-        g2: "#ff4d6d"
-      },
-      {
-        id: "memory",
-        title: "Memory",
-        subtitle: "Encuentra las parejas",
-        desc: "Voltea cartas y empareja símbolos. Menos movimientos = mejor marca.",
-        icon: "🧠",
-        tag: "MEMORY",
-        meta: ["1 jugador", "Parejas", "moves"],
-        g1: "#ff4d6d",
-        g2: "#22c1c3"
-      },
-      {
-        id: "whack",
-        title: "Whack",
-        subtitle: "Golpea al pixel",
-        desc: "Haz click en el objetivo brillante tantas veces como puedas antes de que acabe el tiempo.",
-        icon: "👾",
-        tag: "ARCADE",
-        meta: ["1 jugador", "20s", "score"],
-        g1: "#22c1c3",
-        g2: "#2dd4bf"
-      },
-      {
-        id: "rps",
-        title: "Piedra, papel, tijera",
-        subtitle: "Clásico de toda la vida",
-        desc: "Gana rondas y construye una racha. ¿Cuánto aguantas sin fallar?",
-        icon: "🪨",
-        tag: "CLÁSICO",
-        meta: ["1 jugador", "Racha", "wins"],
-        g1: "#8a5cff",
-        g2: "#22c1c3"
+      if (before && after) {
+        Object.keys({ ...before, ...after }).forEach((key) => {
+          parts.push(`${key}: ${short(before[key] ?? "—")} → ${short(after[key] ?? "—")}`);
+        });
+      } else if (before) {
+        parts.push(`antes: ${short(before)}`);
+      } else if (after) {
+        parts.push(`después: ${short(after)}`);
       }
-    ],
 
-    get(gameId) {
-      return Games.data.find((g) => g.id === gameId) || null;
+      if (meta) parts.push(short(meta));
+      return parts.join("\n");
     },
 
-    open(gameId) {
-      const game = Games.get(gameId);
-      if (!game) {
-        UI.toast({ title: "Error", message: "Juego no encontrado." });
-        return;
+    renderAudit() {
+      const tbody = $("#auditTbody");
+      if (!tbody || !can(Auth.currentUser(), "audit.read")) return;
+
+      const all = Audit.list();
+
+      const actorSelect = $("#auditActor");
+      if (actorSelect) {
+        const actors = new Map();
+        all.forEach((e) => actors.set(e.actorId || "anon", e.actorName));
+        fillSelect(actorSelect, [["", "Todos"], ...actors]);
       }
 
-      const user = Auth.currentUser();
+      const actionSelect = $("#auditAction");
+      if (actionSelect) {
+        fillSelect(actionSelect, [["", "Todas"], ...Object.entries(AUDIT_ACTIONS)]);
+      }
 
-      // Elegimos la función de MiniGames en base al id
-      const builder = MiniGames[game.id];
-      if (typeof builder !== "function") {
-        UI.toast({ title: "Error", message: "Este juego aún no está disponible." });
+      const rows = Audit.filter(Admin.auditFilters());
+      tbody.innerHTML = "";
+
+      if (rows.length === 0) {
+        const tr = document.createElement("tr");
+        tr.innerHTML = `<td colspan="5" class="muted">No hay entradas${all.length ? " con estos filtros" : ""}.</td>`;
+        tbody.appendChild(tr);
         return;
       }
 
-      const contentEl = builder(game, user);
-
-      UI.openGameModal({
-        title: game.title,
-        subtitle: game.subtitle,
-        contentEl
+      rows.forEach((e) => {
+        const tr = document.createElement("tr");
+        tr.innerHTML = `
+          <td><small>${escapeHtml(formatDate(e.at))}</small></td>
+          <td>${escapeHtml(e.actorName)}</td>
+          <td><b>${escapeHtml(Audit.label(e.action))}</b></td>
+          <td>${e.target ? escapeHtml(e.target.label || e.target.id) : `<span class="muted">—</span>`}</td>
+          <td><small style="white-space:pre-wrap; word-break:break-word;">${escapeHtml(Admin.describeChange(e))}</small></td>
+        `;
+        tbody.appendChild(tr);
       });
-    }
-  };
+    },
 
-  /* ==========================================================================
-     12) HOME (index.html)
-  ========================================================================== */
-  const Home = {
-    renderStats() {
-      const statUsers = $("#statUsers");
-      const statComments = $("#statComments");
-      const statBest = $("#statBest");
+    bindAudit() {
+      const form = $("#auditFilters");
+      if (!form) return;
 
-      const users = Auth.listUsers();
-      const publicComments = Comments.listPublic();
-      const current = Auth.currentUser();
+      form.addEventListener("input", () => Admin.renderAudit());
+      form.addEventListener("change", () => Admin.renderAudit());
+      // "reset" se dispara antes de limpiar los campos.
+      form.addEventListener("reset", () => setTimeout(() => Admin.renderAudit()));
+    },
 
-      if (statUsers) statUsers.textContent = String(users.length);
-      if (statComments) statComments.textContent = String(publicComments.length);
+    // Copia importada pendiente de confirmar (datos ya validados + plan).
+    backup: null,
 
-      if (statBest) {
-        statBest.textContent = current ? Scores.bestLabelForUser(current.id) : "—";
+    renderBackupPreview() {
+      const box = $("#backupPreview");
+      const btn = $("#backupImportBtn");
+      if (!box || !btn) return;
+
+      const incoming = Admin.backup?.incoming;
+      if (!incoming) {
+        box.classList.add("is-hidden");
+        btn.disabled = true;
+        return;
       }
-    },
 
-    updateBestStat() {
-      const current = Auth.currentUser();
-      const statBest = $("#statBest");
-      if (!statBest) return;
-      statBest.textContent = current ? Scores.bestLabelForUser(current.id) : "—";
-    },
+      const mode = $('input[name="backupMode"]:checked')?.value || "merge";
+      const plan = Backup.plan(incoming.data, mode);
+      Admin.backup.plan = plan;
 
-    renderGames() {
-      const grid = $("#gamesGrid");
-      if (!grid) return;
+      const labels = {
+        users: "Usuarios",
+        comments: "Comentarios",
+        messages: "Mensajes",
+        scores: "Récords",
+        ui: "Preferencias"
+      };
 
-      grid.innerHTML = "";
+      const rows = Object.entries(plan.summary).map(([name, d]) =>
+        `<li><b>${labels[name]}:</b> +${d.added} nuevos · ${d.updated} modificados · ${d.removed} eliminados</li>`
+      ).join("");
 
-      Games.data.forEach((g) => {
-        const card = document.createElement("article");
-        card.className = "gameCard reveal";
-        card.style.setProperty("--g1", g.g1);
-        card.style.setProperty("--g2", g.g2);
+      const warnings = [];
+      if (plan.conflicts.length) {
+        warnings.push(`Se omiten ${plan.conflicts.length} usuario(s) cuyo email ya existe: ${plan.conflicts.map(escapeHtml).join(", ")}.`);
+      }
+      if (!plan.keepsMe) {
+        warnings.push("Tu cuenta de administrador no estará en los datos resultantes: se cerrará tu sesión.");
+      }
 
-        card.innerHTML = `
-          <div class="gameCard__art">
-            <div class="gameCard__icon">${g.icon}</div>
-            <div class="gameCard__tag">${escapeHtml(g.tag)}</div>
-          </div>
+      box.innerHTML = `
+        <b>Vista previa</b>
+        <p class="muted" style="margin:6px 0 0;">
+          Copia del ${escapeHtml(incoming.exportedAt ? formatDate(incoming.exportedAt) : "—")}
+        </p>
+        <ul style="margin:8px 0 0; padding-left:18px;">${rows}</ul>
+        ${warnings.map((w) => `<p class="help" style="margin-top:8px;">⚠️ ${w}</p>`).join("")}
+      `;
+      box.classList.remove("is-hidden");
+      btn.disabled = false;
+    },
 
-          <div class="gameCard__body">
-            <h3 class="gameCard__title">${escapeHtml(g.title)}</h3>
-            <p class="gameCard__desc">${escapeHtml(g.desc)}</p>
+    bindBackup() {
+      const file = $("#backupFile");
+      if (!file) return;
 
-            <div class="gameCard__meta">
-              ${g.meta.map((m) => `<span class="pillMeta">${escapeHtml(m)}</span>`).join("")}
-            </div>
+      file.addEventListener("change", async () => {
+        Admin.backup = null;
 
-            <div class="gameCard__actions">
-              <button class="btn btn--primary" data-action="openGame" data-game="${escapeHtml(g.id)}" type="button">
-                Jugar
-              </button>
-              <button class="btn btn--ghost" data-action="openGame" data-game="${escapeHtml(g.id)}" type="button">
-                Ver
-              </button>
-            </div>
-          </div>
-        `;
+        const f = file.files?.[0];
+        if (f) {
+          try {
+            Admin.backup = { incoming: await Backup.parse(await f.text()), plan: null };
+          } catch (err) {
+            UI.toast({ title: "Copia no válida", message: err.message });
+            file.value = "";
+          }
+        }
 
-        grid.appendChild(card);
+        Admin.renderBackupPreview();
       });
 
-      UI.initReveal();
+      $$('input[name="backupMode"]').forEach((radio) => {
+        radio.addEventListener("change", () => Admin.renderBackupPreview());
+      });
     },
 
-    renderComments() {
-      const list = $("#commentsList");
-      if (!list) return;
+    // Acción → permiso necesario.
+    actionPermissions: {
+      releaseMessage: "messages.read",
+      openMessage: "messages.read",
+      setMessageStatus: "messages.read",
+      assignMessage: "messages.read",
+      replyMessage: "messages.read",
+      noteMessage: "messages.read",
+      setRole: "users.manage",
+      deleteUser: "users.manage",
+      unlockUser: "users.manage",
+      suspendUser: "users.manage",
+      liftSuspension: "users.manage",
+      approveComment: "comments.moderate",
+      deleteComment: "comments.moderate",
+      rejectComment: "comments.moderate",
+      bulkApprove: "comments.moderate",
+      bulkReject: "comments.moderate",
+      bulkDelete: "comments.moderate",
+      exportBackup: "data.manage",
+      importBackup: "data.manage",
+      exportAudit: "audit.read"
+    },
 
-      const comments = Comments.listPublic();
+    // Comprueba el permiso de la acción (el botón podría estar en una pestaña vieja).
+    allowed(action) {
+      if (can(Auth.currentUser(), Admin.actionPermissions[action])) return true;
+      UI.toast({ title: "Acceso denegado", message: "No tienes permiso para hacer esto." });
+      return false;
+    },
 
-      if (comments.length === 0) {
-        list.innerHTML = `<div class="card card--pad muted">Aún no hay comentarios. ¡Sé el primero!</div>`;
-        return;
-      }
+    bindActions() {
+      // ---------------- Cambiar rol (select) ----------------
+      document.addEventListener("change", async (ev) => {
+        const select = ev.target.closest('[data-admin="setRole"]');
+        if (!select || !Admin.allowed("setRole")) return;
+
+        const userId = select.getAttribute("data-user-id");
+        const u = userId ? Auth.findById(userId) : null;
+        const role = select.value;
+        if (!u || !ROLES[role] || role === u.role) return;
+
+        const ok = await UI.confirm({
+          title: "Cambiar rol",
+          message: `¿Cambiar el rol de "${u.name}" de ${roleLabel(u.role)} a ${roleLabel(role)}?`
+        });
+        if (!ok) {
+          select.value = u.role;
+          return;
+        }
 
-      list.innerHTML = "";
+        Auth.updateUser(userId, { role });
+        Audit.log("user.role", { target: Audit.userTarget(u), before: { role: u.role }, after: { role } });
 
-      comments.forEach((c) => {
-        const item = document.createElement("div");
-        item.className = "card comment reveal";
+        UI.toast({ title: "Listo", message: "Rol actualizado." });
+        Admin.renderUsers();
+        UI.updateNav();
+      });
 
-        item.innerHTML = `
-          <div class="comment__top">
-            <span class="comment__author">${escapeHtml(c.authorName)}</span>
-            <span class="comment__date">${formatDate(c.createdAt)}</span>
-          </div>
-          <p class="comment__text">${escapeHtml(c.text)}</p>
-        `;
+      document.addEventListener("click", async (ev) => {
+        const btn = ev.target.closest("[data-admin]");
+        if (!btn) return;
 
-        list.appendChild(item);
-      });
+        const action = btn.getAttribute("data-admin");
+        if (action === "setRole") return;
+        if (!Admin.allowed(action)) return;
 
-      UI.initReveal();
-    },
+        // ---------------- Borrar usuario ----------------
+        if (action === "deleteUser") {
+          const userId = btn.getAttribute("data-user-id");
+          if (!userId) return;
 
-    bindCommentForm() {
-      const form = $("#commentForm");
-      if (!form) return;
+          const u = Auth.findById(userId);
+          if (!u) return;
 
-      const help = $("#commentHelp");
-      const loginBtn = $("#commentLoginBtn");
-      const textarea = $("#commentText");
+          const ok = await UI.confirm({
+            title: "Borrar usuario",
+            message: `¿Seguro que quieres borrar a "${u.name}"? ${Account.deletionSummary()}`
+          });
+          if (!ok) return;
 
-      const user = Auth.currentUser();
+          Audit.log("user.delete", { target: Audit.userTarget(u), before: Account.publicProfile(u) });
+          Account.purge(userId);
 
-      // Sin sesión → bloquear textarea.
-      if (!user) {
-        if (textarea) textarea.disabled = true;
-        if (help) help.textContent = "Para comentar necesitas iniciar sesión.";
-        if (loginBtn) loginBtn.classList.remove("is-hidden");
-        return;
-      }
+          UI.toast({ title: "Eliminado", message: "Usuario borrado." });
+          Admin.renderAll();
+        }
 
-      // Con sesión → permitir comentar.
-      if (textarea) textarea.disabled = false;
-      if (loginBtn) loginBtn.classList.add("is-hidden");
+        // ---------------- Desbloquear usuario ----------------
+        if (action === "unlockUser") {
+          const userId = btn.getAttribute("data-user-id");
+          if (!userId) return;
 
-      // Texto informativo.
-      if (help) {
-        help.textContent = user.role === "admin"
-          ? "Tu comentario se publica al instante."
-          : "Tu comentario se publicará tras revisión.";
-      }
+          const u = Auth.findById(userId);
+          if (!u) return;
 
-      form.addEventListener("submit", (ev) => {
-        ev.preventDefault();
+          const lock = Throttle.lockOf(u.email);
+          Throttle.unlock(u.email);
+          Audit.log("user.unlock", { target: Audit.userTarget(u), before: lock ? { lockedUntil: lock.lockedUntil } : null });
+          UI.toast({ title: "Desbloqueado", message: `"${u.name}" ya puede volver a entrar.` });
+          Admin.renderUsers();
+        }
 
-        const text = textarea?.value || "";
-        if (text.trim().length < 2) {
-          UI.toast({ title: "Error", message: "Escribe un comentario más largo." });
-          return;
+        // ---------------- Suspender usuario (abre el formulario) ----------------
+        if (action === "suspendUser") {
+          const u = Auth.findById(btn.getAttribute("data-user-id"));
+          if (!u) return;
+          Admin.openSuspendForm(u);
         }
 
-        const c = Comments.add({ author: user, text });
+        // ---------------- Levantar suspensión ----------------
+        if (action === "liftSuspension") {
+          const u = Auth.findById(btn.getAttribute("data-user-id"));
+          if (!u?.suspension) return;
 
-        if (textarea) textarea.value = "";
+          const ok = await UI.confirm({
+            title: "Levantar sanción",
+            message: `¿Quitar la suspensión de "${u.name}"? Podrá volver a entrar y sus comentarios ocultos vuelven a la cola.`
+          });
+          if (!ok) return;
 
-        UI.toast({
-          title: "Comentario enviado",
-          message: c.status === "approved" ? "Publicado." : "Queda pendiente de revisión."
-        });
+          Suspensions.lift(u.id);
+          Audit.log("user.unsuspend", {
+            target: Audit.userTarget(u),
+            before: { suspension: u.suspension },
+            after: { suspension: null }
+          });
 
-        Home.renderComments();
-        Home.renderStats();
-      });
-    },
+          UI.toast({ title: "Sanción levantada", message: `"${u.name}" ya puede volver a entrar.` });
+          Admin.renderUsers();
+          Admin.renderComments();
+        }
 
-    bindContactForm() {
-      const form = $("#contactForm");
-      if (!form) return;
+        // ---------------- Aprobar comentario ----------------
+        if (action === "approveComment") {
+          await Admin.moderate([btn.getAttribute("data-comment-id")], "approve");
+        }
 
-      form.addEventListener("submit", (ev) => {
-        ev.preventDefault();
+        // ---------------- Rechazar comentario (con nota para el autor) ----------------
+        if (action === "rejectComment") {
+          await Admin.moderate([btn.getAttribute("data-comment-id")], "reject");
+        }
 
-        const name = $("#cName")?.value || "";
-        const email = $("#cEmail")?.value || "";
-        const subject = $("#cSubject")?.value || "";
-        const body = $("#cMessage")?.value || "";
+        // ---------------- Borrar comentario ----------------
+        if (action === "deleteComment") {
+          await Admin.moderate([btn.getAttribute("data-comment-id")], "delete");
+        }
 
-        if (!name.trim() || !subject.trim() || !body.trim()) {
-          UI.toast({ title: "Error", message: "Completa todos los campos." });
-          return;
+        // ---------------- Abrir conversación ----------------
+        if (action === "openMessage") {
+          Admin.openThread(btn.getAttribute("data-message-id"));
         }
-        if (!isValidEmail(normalizeEmail(email))) {
-          UI.toast({ title: "Error", message: "El email no parece válido." });
-          return;
+
+        // ---------------- Mensaje en cuarentena → bandeja normal ----------------
+        if (action === "releaseMessage") {
+          Messages.release(btn.getAttribute("data-message-id"));
+          UI.toast({ title: "Mensaje recuperado", message: "Ya no está marcado como spam." });
+          Admin.renderMessages();
         }
 
-        Messages.add({ name, email, subject, body });
-        form.reset();
+        // ---------------- Acciones en lote (filas marcadas) ----------------
+        if (action === "bulkApprove" || action === "bulkReject" || action === "bulkDelete") {
+          const ids = AdminTable.selectedIds("comments");
+          if (ids.length === 0) {
+            UI.toast({ title: "Nada seleccionado", message: "Marca algún comentario primero." });
+            return;
+          }
 
-        UI.toast({ title: "Mensaje enviado", message: "Gracias. Te responderemos lo antes posible." });
+          const decision = { bulkApprove: "approve", bulkReject: "reject", bulkDelete: "delete" }[action];
+          if (await Admin.moderate(ids, decision)) AdminTable.clearSelection("comments");
+        }
+
+        // ---------------- Exportar auditoría (con los filtros actuales) ----------------
+        if (action === "exportAudit") {
+          const filters = Admin.auditFilters();
+          downloadJson(`${CONFIG.appName.toLowerCase()}-auditoria-${nowISO().slice(0, 10)}.json`, {
+            format: "gamezone-audit",
+            exportedAt: nowISO(),
+            filters,
+            entries: Audit.filter(filters)
+          });
+          UI.toast({ title: "Auditoría exportada", message: "Se ha descargado el registro filtrado." });
+        }
+
+        // ---------------- Exportar copia ----------------
+        if (action === "exportBackup") {
+          Backup.download();
+          Audit.log("backup.export");
+          UI.toast({ title: "Copia descargada", message: "Guarda el archivo en un lugar seguro." });
+        }
+
+        // ---------------- Importar copia ----------------
+        if (action === "importBackup") {
+          const previewed = Admin.backup?.plan;
+          if (!previewed) return;
+
+          const ok = await UI.confirm({
+            title: "Importar copia",
+            message: previewed.mode === "replace"
+              ? "Se sustituirán TODOS los datos actuales por los de la copia. ¿Continuar?"
+              : "Se añadirán y actualizarán los datos de la copia. ¿Continuar?",
+            okText: "Importar"
+          });
+          if (!ok || !Admin.backup) return;
+
+          // Se recalcula con los datos de ahora: pueden haber cambiado desde la vista previa.
+          const plan = Backup.plan(Admin.backup.incoming.data, previewed.mode);
+          const same = (a) => JSON.stringify([a.summary, a.conflicts, a.keepsMe]);
+          if (same(plan) !== same(previewed)) {
+            Admin.renderBackupPreview();
+            UI.toast({ title: "Los datos han cambiado", message: "Revisa la vista previa actualizada e importa de nuevo." });
+            return;
+          }
+
+          Backup.apply(plan);
+          Audit.log("backup.import", { meta: { mode: plan.mode, summary: plan.summary } });
+          Admin.backup = null;
+          $("#backupForm")?.reset();
+          Admin.renderBackupPreview();
+
+          UI.toast({ title: "Importado", message: "Los datos se han restaurado." });
+          Admin.renderAll();
+          UI.updateNav();
+
+          if (!plan.keepsMe && (await UI.saved())) window.location.href = "index.html";
+        }
       });
     }
   };
 
   /* ==========================================================================
-     13) ADMIN (admin.html)
+     13.1) TABLAS DEL PANEL (BUSCAR, FILTRAR, ORDENAR, PAGINAR)
+     - AdminTable.define(id, { ... }) engancha una tabla del HTML:
+       [data-table-tools="id"] (buscador + filtros + tamaño de página),
+       <th data-sort="columna"> (orden) y [data-table-pager="id"] (páginas).
+     - El estado de cada tabla se guarda en el hash de la URL
+       (ej: admin.html#tab=comments&comments.status=pending&comments.page=2),
+       así se puede recargar o compartir la vista.
   ========================================================================== */
-  const Admin = {
-    bindTabs() {
-      $$("[data-tab]").forEach((btn) => {
-        btn.addEventListener("click", () => {
-          const tab = btn.getAttribute("data-tab");
+  const HashState = {
+    get() {
+      return new URLSearchParams(window.location.hash.slice(1));
+    },
+
+    // mutate(params) cambia los parámetros; se reescribe el hash sin añadir historial.
+    update(mutate) {
+      const params = HashState.get();
+      mutate(params);
+      const hash = params.toString();
+      history.replaceState(null, "", `${window.location.pathname}${window.location.search}${hash ? `#${hash}` : ""}`);
+    }
+  };
 
-          $("#tabUsers")?.classList.add("is-hidden");
-          $("#tabComments")?.classList.add("is-hidden");
-          $("#tabMessages")?.classList.add("is-hidden");
+  const PAGE_SIZES = [10, 25, 50, 100];
+
+  const AdminTable = {
+    defs: {},
+    state: {},
+
+    // def: {
+    //   rows() → lista, row(item) → HTML de las celdas, empty: texto sin filas,
+    //   search(item) → texto en el que buscar,
+    //   sorts: { columna: (item) → valor comparable },
+    //   filters: [{ key, label, type: "select" | "date", options() → [[valor, texto]], test(item, valor) }],
+    //   defaultSort: { sort, dir },
+    //   selectable: true → casilla por fila (la cabecera necesita <th data-select-all>),
+    //   onSelect(ids) → se llama al cambiar la selección
+    // }
+    define(id, def) {
+      AdminTable.defs[id] = def;
+      AdminTable.state[id] = AdminTable.readState(id);
+      AdminTable.selected[id] = new Set();
+      AdminTable.bindTools(id);
+      AdminTable.bindSort(id);
+      AdminTable.bindPager(id);
+      if (def.selectable) AdminTable.bindSelection(id);
+    },
 
-          if (tab === "users") $("#tabUsers")?.classList.remove("is-hidden");
-          if (tab === "comments") $("#tabComments")?.classList.remove("is-hidden");
-          if (tab === "messages") $("#tabMessages")?.classList.remove("is-hidden");
-        });
+    // Selección de filas (no va al hash: es de un momento).
+    selected: {},
+
+    selectedIds(id) {
+      return [...(AdminTable.selected[id] || [])];
+    },
+
+    clearSelection(id) {
+      AdminTable.selected[id]?.clear();
+      AdminTable.render(id);
+    },
+
+    bindSelection(id) {
+      const table = $(`[data-table="${id}"]`);
+      if (!table) return;
+
+      const head = $("th[data-select-all]", table);
+      if (head) head.innerHTML = `<input type="checkbox" aria-label="Seleccionar la página" />`;
+
+      table.addEventListener("change", (ev) => {
+        const set = AdminTable.selected[id];
+        const box = ev.target;
+
+        if (box.matches("[data-select-row]")) {
+          if (box.checked) set.add(box.getAttribute("data-select-row"));
+          else set.delete(box.getAttribute("data-select-row"));
+        } else if (box.closest("th[data-select-all]")) {
+          $$("[data-select-row]", table).forEach((row) => {
+            row.checked = box.checked;
+            if (box.checked) set.add(row.getAttribute("data-select-row"));
+            else set.delete(row.getAttribute("data-select-row"));
+          });
+        } else {
+          return;
+        }
+
+        AdminTable.renderSelection(id);
       });
     },
 
-    renderAll() {
-      Admin.renderUsers();
-      Admin.renderComments();
-      Admin.renderMessages();
+    renderSelection(id) {
+      const table = $(`[data-table="${id}"]`);
+      const set = AdminTable.selected[id];
+      if (!table || !set) return;
+
+      const rows = $$("[data-select-row]", table);
+      const all = $("th[data-select-all] input", table);
+      if (all) {
+        const checked = rows.filter((row) => row.checked).length;
+        all.checked = rows.length > 0 && checked === rows.length;
+        all.indeterminate = checked > 0 && checked < rows.length;
+      }
+
+      AdminTable.defs[id].onSelect?.([...set]);
     },
 
-    renderUsers() {
-      const tbody = $("#usersTbody");
-      if (!tbody) return;
+    defaults(id) {
+      const def = AdminTable.defs[id];
+      return {
+        q: "",
+        sort: def.defaultSort?.sort || "",
+        dir: def.defaultSort?.dir || "asc",
+        page: 1,
+        size: PAGE_SIZES[0],
+        filters: Object.fromEntries((def.filters || []).map((f) => [f.key, ""]))
+      };
+    },
 
-      const users = Auth.listUsers();
-      const current = Auth.currentUser();
+    readState(id) {
+      const params = HashState.get();
+      const state = AdminTable.defaults(id);
+      const get = (key) => params.get(`${id}.${key}`);
 
-      tbody.innerHTML = "";
+      if (get("q")) state.q = get("q");
+      if (get("sort") && AdminTable.defs[id].sorts?.[get("sort")]) state.sort = get("sort");
+      if (get("dir") === "asc" || get("dir") === "desc") state.dir = get("dir");
+      if (Number(get("page")) > 0) state.page = Math.floor(Number(get("page")));
+      if (PAGE_SIZES.includes(Number(get("size")))) state.size = Number(get("size"));
+      Object.keys(state.filters).forEach((key) => { state.filters[key] = get(key) || ""; });
 
-      users.forEach((u) => {
-        const tr = document.createElement("tr");
+      return state;
+    },
 
-        const canDelete = current && u.id !== current.id;
-        const canChangeRole = current && u.id !== current.id;
+    // Solo se escriben los valores distintos del estado inicial (hash corto).
+    writeState(id) {
+      const state = AdminTable.state[id];
+      const base = AdminTable.defaults(id);
 
-        tr.innerHTML = `
-          <td>${escapeHtml(u.name)}</td>
-          <td>${escapeHtml(u.email)}</td>
-          <td><b>${escapeHtml(u.role)}</b></td>
-          <td style="display:flex; gap:8px; flex-wrap:wrap;">
-            ${
-              canChangeRole
-                ? `<button class="btn btn--ghost" data-admin="toggleRole" data-user-id="${u.id}" type="button">
-                     ${u.role === "admin" ? "Hacer usuario" : "Hacer admin"}
-                   </button>`
-                : `<span class="muted">—</span>`
-            }
-            ${
-              canDelete
-                ? `<button class="btn btn--ghost" data-admin="deleteUser" data-user-id="${u.id}" type="button">Borrar</button>`
-                : ""
-            }
-          </td>
-        `;
+      HashState.update((params) => {
+        [...params.keys()].filter((key) => key.startsWith(`${id}.`)).forEach((key) => params.delete(key));
 
-        tbody.appendChild(tr);
+        const set = (key, value, initial) => {
+          if (value !== initial) params.set(`${id}.${key}`, String(value));
+        };
+        set("q", state.q, base.q);
+        set("sort", state.sort, base.sort);
+        set("dir", state.dir, base.dir);
+        set("page", state.page, base.page);
+        set("size", state.size, base.size);
+        Object.entries(state.filters).forEach(([key, value]) => set(key, value, ""));
       });
     },
 
-    renderComments() {
-      const tbody = $("#commentsTbody");
-      if (!tbody) return;
+    // Cambia el estado, vuelve a pintar y lo guarda en el hash.
+    change(id, patch, { keepPage = false } = {}) {
+      const state = AdminTable.state[id];
+      Object.assign(state, patch);
+      if (!keepPage) state.page = 1;
 
-      const all = Comments.listAll().sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
-      tbody.innerHTML = "";
+      AdminTable.render(id);
+      AdminTable.writeState(id);
+    },
 
-      if (all.length === 0) {
-        const tr = document.createElement("tr");
-        tr.innerHTML = `<td colspan="5" class="muted">No hay comentarios.</td>`;
-        tbody.appendChild(tr);
-        return;
-      }
+    bindTools(id) {
+      const box = $(`[data-table-tools="${id}"]`);
+      if (!box) return;
 
-      all.forEach((c) => {
-        const tr = document.createElement("tr");
-        const status = c.status === "approved" ? "Aprobado" : "Pendiente";
+      const def = AdminTable.defs[id];
+      const state = AdminTable.state[id];
 
-        tr.innerHTML = `
-          <td>${escapeHtml(c.authorName)}</td>
-          <td><small>${escapeHtml(formatDate(c.createdAt))}</small></td>
-          <td><b>${escapeHtml(status)}</b></td>
-          <td>${escapeHtml(c.text).slice(0, 120)}${c.text.length > 120 ? "…" : ""}</td>
-          <td style="display:flex; gap:8px; flex-wrap:wrap;">
+      box.innerHTML = `
+        <div class="field">
+          <label for="${id}Search">Buscar</label>
+          <input class="input" id="${id}Search" type="search" placeholder="Escribe para filtrar…" />
+        </div>
+        ${(def.filters || []).map((f) => `
+          <div class="field">
+            <label for="${id}Filter-${f.key}">${escapeHtml(f.label)}</label>
             ${
-              c.status !== "approved"
-                ? `<button class="btn btn--primary" data-admin="approveComment" data-comment-id="${c.id}" type="button">Aprobar</button>`
-                : ""
+              f.type === "date"
+                ? `<input class="input" id="${id}Filter-${f.key}" data-filter="${f.key}" type="date" />`
+                : `<select class="input" id="${id}Filter-${f.key}" data-filter="${f.key}"></select>`
             }
-            <button class="btn btn--ghost" data-admin="deleteComment" data-comment-id="${c.id}" type="button">Borrar</button>
-          </td>
-        `;
+          </div>
+        `).join("")}
+        <div class="field">
+          <label for="${id}Size">Por página</label>
+          <select class="input" id="${id}Size">
+            ${PAGE_SIZES.map((n) => `<option value="${n}">${n}</option>`).join("")}
+          </select>
+        </div>
+      `;
 
-        tbody.appendChild(tr);
+      const search = $(`#${id}Search`);
+      search.value = state.q;
+      search.addEventListener("input", () => AdminTable.change(id, { q: search.value }));
+
+      $$("[data-filter]", box).forEach((input) => {
+        const key = input.getAttribute("data-filter");
+        input.addEventListener("change", () => {
+          AdminTable.change(id, { filters: { ...AdminTable.state[id].filters, [key]: input.value } });
+        });
       });
+
+      const size = $(`#${id}Size`);
+      size.value = String(state.size);
+      size.addEventListener("change", () => AdminTable.change(id, { size: Number(size.value) }));
     },
 
-    renderMessages() {
-      const tbody = $("#messagesTbody");
-      if (!tbody) return;
+    bindSort(id) {
+      const table = $(`[data-table="${id}"]`);
+      if (!table) return;
+
+      $$("th[data-sort]", table).forEach((th) => {
+        th.tabIndex = 0;
+        const toggle = () => {
+          const key = th.getAttribute("data-sort");
+          const state = AdminTable.state[id];
+          const dir = state.sort === key && state.dir === "asc" ? "desc" : "asc";
+          AdminTable.change(id, { sort: key, dir }, { keepPage: true });
+        };
 
-      const all = Messages.list();
-      tbody.innerHTML = "";
+        th.addEventListener("click", toggle);
+        th.addEventListener("keydown", (ev) => {
+          if (ev.key === "Enter" || ev.key === " ") {
+            ev.preventDefault();
+            toggle();
+          }
+        });
+      });
+    },
 
-      if (all.length === 0) {
-        const tr = document.createElement("tr");
-        tr.innerHTML = `<td colspan="5" class="muted">No hay mensajes.</td>`;
-        tbody.appendChild(tr);
-        return;
-      }
+    bindPager(id) {
+      const pager = $(`[data-table-pager="${id}"]`);
+      if (!pager) return;
 
-      all.forEach((m) => {
-        const tr = document.createElement("tr");
-        tr.innerHTML = `
-          <td>${escapeHtml(m.name)}</td>
-          <td>${escapeHtml(m.email)}</td>
-          <td>${escapeHtml(m.subject)}</td>
-          <td>${escapeHtml(m.body).slice(0, 140)}${m.body.length > 140 ? "…" : ""}</td>
-          <td><small>${escapeHtml(formatDate(m.createdAt))}</small></td>
-        `;
-        tbody.appendChild(tr);
+      pager.addEventListener("click", (ev) => {
+        const btn = ev.target.closest("[data-page-to]");
+        if (!btn || btn.disabled) return;
+        AdminTable.change(id, { page: Number(btn.getAttribute("data-page-to")) }, { keepPage: true });
       });
     },
 
-    bindActions() {
-      document.addEventListener("click", async (ev) => {
-        const btn = ev.target.closest("[data-admin]");
-        if (!btn) return;
+    // Filas tras buscar + filtrar + ordenar (sin paginar).
+    visibleRows(id) {
+      const def = AdminTable.defs[id];
+      const state = AdminTable.state[id];
+      const q = state.q.trim().toLowerCase();
 
-        const action = btn.getAttribute("data-admin");
+      let rows = def.rows();
 
-        // ---------------- Cambiar rol ----------------
-        if (action === "toggleRole") {
-          const userId = btn.getAttribute("data-user-id");
-          if (!userId) return;
+      if (q) rows = rows.filter((item) => String(def.search(item)).toLowerCase().includes(q));
 
-          const u = Auth.findById(userId);
-          if (!u) return;
+      (def.filters || []).forEach((f) => {
+        const value = state.filters[f.key];
+        if (value) rows = rows.filter((item) => f.test(item, value));
+      });
 
-          const ok = await UI.confirm({
-            title: "Cambiar rol",
-            message: `¿Cambiar rol de "${u.name}" a ${u.role === "admin" ? "user" : "admin"}?`
-          });
-          if (!ok) return;
+      const sortValue = def.sorts?.[state.sort];
+      if (sortValue) {
+        const sign = state.dir === "desc" ? -1 : 1;
+        rows = [...rows].sort((a, b) => {
+          const va = sortValue(a);
+          const vb = sortValue(b);
+          if (typeof va === "number" && typeof vb === "number") return (va - vb) * sign;
+          return String(va ?? "").localeCompare(String(vb ?? ""), "es", { sensitivity: "base" }) * sign;
+        });
+      }
 
-          const users = Auth.listUsers().map((x) =>
-            x.id === userId ? { ...x, role: x.role === "admin" ? "user" : "admin" } : x
-          );
-          Auth.saveUsers(users);
+      return rows;
+    },
 
-          UI.toast({ title: "Listo", message: "Rol actualizado." });
-          Admin.renderUsers();
-          UI.updateNav();
-        }
+    render(id) {
+      const def = AdminTable.defs[id];
+      const table = $(`[data-table="${id}"]`);
+      const tbody = table?.querySelector("tbody");
+      if (!def || !tbody) return;
 
-        // ---------------- Borrar usuario ----------------
-        if (action === "deleteUser") {
-          const userId = btn.getAttribute("data-user-id");
-          if (!userId) return;
+      const state = AdminTable.state[id];
 
-          const u = Auth.findById(userId);
-          if (!u) return;
+      // Opciones de los filtros (pueden depender de los datos) + valores actuales.
+      (def.filters || []).forEach((f) => {
+        const input = $(`#${id}Filter-${f.key}`);
+        if (!input) return;
+        if (f.type !== "date") fillSelect(input, [["", "Todos"], ...f.options()]);
+        input.value = state.filters[f.key];
+      });
 
-          const ok = await UI.confirm({
-            title: "Borrar usuario",
-            message: `¿Seguro que quieres borrar a "${u.name}"?`
-          });
-          if (!ok) return;
+      // Indicador de orden en las cabeceras.
+      $$("th[data-sort]", table).forEach((th) => {
+        const active = th.getAttribute("data-sort") === state.sort;
+        th.classList.toggle("is-sorted", active);
+        th.setAttribute("aria-sort", active ? (state.dir === "asc" ? "ascending" : "descending") : "none");
+        th.dataset.dir = active ? state.dir : "";
+      });
 
-          const users = Auth.listUsers().filter((x) => x.id !== userId);
-          Auth.saveUsers(users);
+      const rows = AdminTable.visibleRows(id);
 
-          UI.toast({ title: "Eliminado", message: "Usuario borrado." });
-          Admin.renderUsers();
-        }
+      // La selección solo conserva filas que siguen a la vista.
+      const set = AdminTable.selected[id];
+      if (set) {
+        const visible = new Set(rows.map((item) => item.id));
+        [...set].forEach((rowId) => { if (!visible.has(rowId)) set.delete(rowId); });
+      }
 
-        // ---------------- Aprobar comentario ----------------
-        if (action === "approveComment") {
-          const commentId = btn.getAttribute("data-comment-id");
-          if (!commentId) return;
+      const pages = Math.max(1, Math.ceil(rows.length / state.size));
+      state.page = Math.min(Math.max(1, state.page), pages);
+      const pageRows = rows.slice((state.page - 1) * state.size, state.page * state.size);
 
-          Comments.approve(commentId);
-          UI.toast({ title: "Aprobado", message: "El comentario ya es público." });
-          Admin.renderComments();
-        }
+      const cols = table.querySelectorAll("thead th").length;
+      tbody.innerHTML = "";
 
-        // ---------------- Borrar comentario ----------------
-        if (action === "deleteComment") {
-          const commentId = btn.getAttribute("data-comment-id");
-          if (!commentId) return;
+      if (pageRows.length === 0) {
+        const filtered = def.rows().length > 0;
+        const tr = document.createElement("tr");
+        tr.innerHTML = `<td colspan="${cols}" class="muted">${escapeHtml(filtered ? "No hay resultados con estos filtros." : def.empty)}</td>`;
+        tbody.appendChild(tr);
+      }
 
-          const ok = await UI.confirm({
-            title: "Borrar comentario",
-            message: "¿Seguro que quieres borrar este comentario?"
-          });
-          if (!ok) return;
+      pageRows.forEach((item) => {
+        const tr = document.createElement("tr");
+        tr.dataset.rowId = item.id;
+        tr.innerHTML = def.selectable
+          ? `<td><input type="checkbox" data-select-row="${escapeHtml(item.id)}" aria-label="Seleccionar fila" ${set.has(item.id) ? "checked" : ""} /></td>${def.row(item)}`
+          : def.row(item);
+        tbody.appendChild(tr);
+      });
 
-          Comments.remove(commentId);
-          UI.toast({ title: "Borrado", message: "Comentario eliminado." });
-          Admin.renderComments();
-        }
+      AdminTable.renderPager(id, rows.length, pages);
+      if (def.selectable) AdminTable.renderSelection(id);
+    },
+
+    // Lleva la tabla a la página donde está la fila (si está a la vista).
+    showRow(id, rowId) {
+      const index = AdminTable.visibleRows(id).findIndex((item) => item.id === rowId);
+      if (index < 0) return;
+
+      const page = Math.floor(index / AdminTable.state[id].size) + 1;
+      if (page !== AdminTable.state[id].page) AdminTable.change(id, { page }, { keepPage: true });
+    },
+
+    renderPager(id, total, pages) {
+      const pager = $(`[data-table-pager="${id}"]`);
+      if (!pager) return;
+
+      const { page, size } = AdminTable.state[id];
+      const from = total === 0 ? 0 : (page - 1) * size + 1;
+      const to = Math.min(total, page * size);
+
+      pager.innerHTML = `
+        <small class="muted">${from}–${to} de ${total}</small>
+        <div class="btnRow">
+          <button class="btn btn--ghost" data-page-to="${page - 1}" type="button" ${page <= 1 ? "disabled" : ""}>← Anterior</button>
+          <small class="muted">Página ${page} de ${pages}</small>
+          <button class="btn btn--ghost" data-page-to="${page + 1}" type="button" ${page >= pages ? "disabled" : ""}>Siguiente →</button>
+        </div>
+      `;
+    },
+
+    // Si el hash cambia a mano (o con atrás/adelante), se relee el estado.
+    reloadFromHash() {
+      Object.keys(AdminTable.defs).forEach((id) => {
+        AdminTable.state[id] = AdminTable.readState(id);
+        const search = $(`#${id}Search`);
+        if (search) search.value = AdminTable.state[id].q;
+        const size = $(`#${id}Size`);
+        if (size) size.value = String(AdminTable.state[id].size);
+        AdminTable.render(id);
       });
     }
   };
@@ -1868,8 +6914,17 @@ IMPORTANTE:
       .replace(/'/g, "&#039;");
   }
 
+  // "YYYY-MM-DD" en hora local (como los <input type="date">); "" si no hay fecha.
+  function localDay(iso) {
+    const d = new Date(iso || NaN);
+    if (Number.isNaN(d.getTime())) return "";
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  }
+
   // Formato de fecha bonito.
   function formatDate(iso) {
+    if (!iso) return "—";
     try {
       const d = new Date(iso);
       return d.toLocaleString("es-ES", { dateStyle: "medium", timeStyle: "short" });
@@ -1878,6 +6933,29 @@ IMPORTANTE:
     }
   }
 
+  // Rellena un <select> con [valor, texto] conservando la opción elegida si sigue existiendo.
+  function fillSelect(select, options) {
+    const prev = select.value;
+    select.innerHTML = options
+      .map(([value, label]) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`)
+      .join("");
+    if (options.some(([value]) => value === prev)) select.value = prev;
+  }
+
+  // Descarga un objeto como archivo .json.
+  function downloadJson(filename, data) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+  }
+
   // Etiquetas humanas para RPS.
   function labelPick(p) {
     if (p === "rock") return "piedra 🪨";
@@ -1885,6 +6963,105 @@ IMPORTANTE:
     return "tijera ✂️";
   }
 
+  /* ==========================================================================
+     14.1) MARKDOWN SEGURO (COMENTARIOS)
+     - Subconjunto: **negrita**, *cursiva* / _cursiva_, `código`, saltos de
+       línea y URLs enlazadas automáticamente.
+     - El HTML generado pasa siempre por sanitize(): solo sobreviven las
+       etiquetas/atributos de MD_ALLOWED; el resto se convierte en texto.
+  ========================================================================== */
+  const MD_ALLOWED = {
+    STRONG: [],
+    EM: [],
+    CODE: [],
+    BR: [],
+    A: ["href"]
+  };
+
+  const Markdown = {
+    render(text) {
+      return Markdown.sanitize(Markdown.toHtml(text));
+    },
+
+    toHtml(text) {
+      // Código y enlaces se extraen antes para que su contenido no se formatee.
+      const src = String(text || "");
+      const tokens = /`([^`\n]+)`|((?:https?:\/\/|www\.)[^\s<>"']+)/g;
+      let html = "";
+      let last = 0;
+
+      src.replace(tokens, (match, code, url, index) => {
+        html += Markdown.inline(src.slice(last, index));
+        last = index + match.length;
+
+        if (code) {
+          html += `<code>${escapeHtml(code)}</code>`;
+          return match;
+        }
+
+        // La puntuación final (“mira http://x.com.”) no es parte del enlace.
+        const trail = url.match(/[.,;:!?)\]]+$/)?.[0] || "";
+        const clean = trail ? url.slice(0, -trail.length) : url;
+        const href = clean.startsWith("www.") ? `https://${clean}` : clean;
+        html += `<a href="${escapeHtml(href)}">${escapeHtml(clean)}</a>${escapeHtml(trail)}`;
+        return match;
+      });
+
+      html += Markdown.inline(src.slice(last));
+      return html;
+    },
+
+    // Negrita, cursiva y saltos de línea sobre texto ya escapado.
+    inline(text) {
+      return escapeHtml(text)
+        .replace(/\*\*(?=\S)([^*\n]+?)\*\*/g, "<strong>$1</strong>")
+        .replace(/(^|[^\w*])\*(?=\S)([^*\n]+?)\*(?![\w*])/g, "$1<em>$2</em>")
+        .replace(/(^|[^\w])_(?=\S)([^_\n]+?)_(?!\w)/g, "$1<em>$2</em>")
+        .replace(/\r?\n/g, "<br>");
+    },
+
+    // Recorre el HTML en un <template> (no ejecuta nada) y deja solo lo permitido.
+    sanitize(html) {
+      const tpl = document.createElement("template");
+      tpl.innerHTML = html;
+
+      const clean = (node) => {
+        Array.from(node.childNodes).forEach((child) => {
+          if (child.nodeType === Node.TEXT_NODE) return;
+
+          if (child.nodeType !== Node.ELEMENT_NODE || !MD_ALLOWED[child.tagName]) {
+            child.replaceWith(document.createTextNode(child.textContent || ""));
+            return;
+          }
+
+          Array.from(child.attributes).forEach((attr) => {
+            if (!MD_ALLOWED[child.tagName].includes(attr.name)) child.removeAttribute(attr.name);
+          });
+
+          if (child.tagName === "A") {
+            if (!/^https?:\/\//i.test(child.getAttribute("href") || "")) {
+              child.replaceWith(document.createTextNode(child.textContent || ""));
+              return;
+            }
+            child.setAttribute("rel", "nofollow noopener");
+            child.setAttribute("target", "_blank");
+          }
+
+          clean(child);
+        });
+      };
+
+      clean(tpl.content);
+      return tpl.innerHTML;
+    },
+
+    // Versión corta para tablas: recorta el texto original (no el HTML).
+    excerpt(text, max) {
+      const raw = String(text || "");
+      return Markdown.render(raw.length > max ? `${raw.slice(0, max)}…` : raw);
+    }
+  };
+
   /* ==========================================================================
      15) PÁGINAS (CONTROLADORES)
      - Cada <body data-page="..."> activa una función aquí.
@@ -1894,27 +7071,92 @@ IMPORTANTE:
       Home.renderStats();
       Home.renderGames();
       Home.renderComments();
+      Home.renderSessions();
+      Home.renderTwoFactor();
       Home.bindCommentForm();
+      Home.bindReplies();
+      Home.bindOwnComments();
+      Home.bindReactions();
+      Home.bindReports();
       Home.bindContactForm();
+      Home.renderMyThreads();
     },
 
     login() {
       const form = $("#loginForm");
+      const totpForm = $("#loginTotpForm");
       if (!form) return;
 
+      const resendBtn = $("#loginResendBtn");
+
+      // Enlace de verificación del email (login.html?verify=...).
+      const verifyToken = new URLSearchParams(window.location.search).get("verify");
+      if (verifyToken) {
+        Auth.verifyEmail(verifyToken)
+          .then((user) => {
+            UI.toast({ title: "Email confirmado", message: "Tu cuenta ya está activa. Ya puedes entrar." });
+            if ($("#loginEmail")) $("#loginEmail").value = user.email;
+          })
+          .catch((err) => UI.toast({ title: "Error", message: err.message }));
+      }
+
+      const welcome = async () => {
+        await Store.flush();
+        UI.updateNav();
+        UI.toast({ title: "Bienvenido", message: "Has iniciado sesión." });
+        window.location.href = "index.html";
+      };
+
+      const params = new URLSearchParams(window.location.search);
+      ["expired", "suspended"].forEach((reason) => {
+        if (params.has(reason)) UI.toast(UI.sessionEndedToast(reason));
+      });
+
       form.addEventListener("submit", async (ev) => {
         ev.preventDefault();
 
         const email = $("#loginEmail")?.value || "";
         const password = $("#loginPassword")?.value || "";
+        const remember = !!$("#loginRemember")?.checked;
+
+        resendBtn?.classList.add("is-hidden");
 
         try {
-          await Auth.login(email, password);
-          UI.updateNav();
-          UI.toast({ title: "Bienvenido", message: "Has iniciado sesión." });
-          window.location.href = "index.html";
+          const { challenge } = await Auth.login(email, password, { remember });
+
+          // Segundo paso: pedir el código 2FA.
+          if (challenge) {
+            totpForm.dataset.challenge = challenge;
+            form.classList.add("is-hidden");
+            totpForm.classList.remove("is-hidden");
+            $("#loginTotp")?.focus();
+            return;
+          }
+
+          await welcome();
+        } catch (err) {
+          UI.toast({ title: "Error", message: err.message });
+          if (err.code === "unverified") resendBtn?.classList.remove("is-hidden");
+        }
+      });
+
+      resendBtn?.addEventListener("click", async () => {
+        await Auth.resendVerification($("#loginEmail")?.value || "");
+        resendBtn.classList.add("is-hidden");
+        UI.toast({ title: "Email enviado", message: "Si la cuenta está pendiente, recibirás un nuevo enlace." });
+      });
+
+      totpForm?.addEventListener("submit", async (ev) => {
+        ev.preventDefault();
+
+        const code = $("#loginTotp")?.value || "";
+
+        try {
+          await Auth.completeTwoFactor(totpForm.dataset.challenge, code);
+          await welcome();
         } catch (err) {
           UI.toast({ title: "Error", message: err.message });
+          if ($("#loginTotp")) $("#loginTotp").value = "";
         }
       });
     },
@@ -1923,6 +7165,13 @@ IMPORTANTE:
       const form = $("#registerForm");
       if (!form) return;
 
+      UI.bindPasswordMeter(
+        $("#regPassword"),
+        $("#regPasswordMeter"),
+        () => ({ name: $("#regName")?.value, email: $("#regEmail")?.value }),
+        [$("#regName"), $("#regEmail")]
+      );
+
       form.addEventListener("submit", async (ev) => {
         ev.preventDefault();
 
@@ -1939,7 +7188,8 @@ IMPORTANTE:
 
         try {
           await Auth.register({ name, email, password: pass1, recovery });
-          UI.toast({ title: "Cuenta creada", message: "Ahora puedes iniciar sesión." });
+          await Store.flush();
+          UI.toast({ title: "Cuenta creada", message: "Te hemos enviado un email para activarla." });
           window.location.href = "login.html";
         } catch (err) {
           UI.toast({ title: "Error", message: err.message });
@@ -1951,6 +7201,52 @@ IMPORTANTE:
       const form = $("#resetForm");
       if (!form) return;
 
+      // Con enlace del email (reset.html?token=...) no hacen falta email ni frase.
+      const token = new URLSearchParams(window.location.search).get("token");
+
+      // El medidor usa los mismos datos que Password.assert al enviar: los de la cuenta.
+      let tokenUser = null;
+      UI.bindPasswordMeter(
+        $("#resetPassword"),
+        $("#resetPasswordMeter"),
+        () => {
+          const email = $("#resetEmail")?.value;
+          const u = token ? tokenUser : Auth.findByEmail(email);
+          return u ? { name: u.name, email: u.email } : { email };
+        },
+        [$("#resetEmail")]
+      );
+
+      if (token) {
+        Tokens.check("reset", token)
+          .then((record) => {
+            tokenUser = Auth.findById(record.userId);
+            $("#resetPassword")?.dispatchEvent(new Event("input"));
+          })
+          .catch(() => {}); // Si el enlace no vale, el error sale al enviar.
+
+        $$('[data-reset="phrase"]').forEach((field) => {
+          field.classList.add("is-hidden");
+          $$("input", field).forEach((input) => { input.required = false; });
+        });
+        $("#resetRequestForm")?.classList.add("is-hidden");
+
+        const intro = $("#resetIntro");
+        if (intro) intro.textContent = "Elige tu nueva contraseña.";
+      }
+
+      $("#resetRequestForm")?.addEventListener("submit", async (ev) => {
+        ev.preventDefault();
+
+        try {
+          await Auth.requestPasswordReset($("#resetRequestEmail")?.value || "");
+          ev.target.reset();
+          UI.toast({ title: "Revisa tu email", message: "Si hay una cuenta con ese email, te llegará un enlace." });
+        } catch (err) {
+          UI.toast({ title: "Error", message: err.message });
+        }
+      });
+
       form.addEventListener("submit", async (ev) => {
         ev.preventDefault();
 
@@ -1965,7 +7261,9 @@ IMPORTANTE:
         }
 
         try {
-          await Auth.resetPassword({ email, recovery, newPassword: pass1 });
+          if (token) await Auth.resetPasswordWithToken({ token, newPassword: pass1 });
+          else await Auth.resetPassword({ email, recovery, newPassword: pass1 });
+          await Store.flush();
           UI.toast({ title: "Contraseña cambiada", message: "Ya puedes iniciar sesión." });
           window.location.href = "login.html";
         } catch (err) {
@@ -1974,30 +7272,150 @@ IMPORTANTE:
       });
     },
 
+    profile() {
+      const user = Auth.currentUser();
+
+      // Guardia: hace falta sesión.
+      if (!user) {
+        UI.toast({ title: "Inicia sesión", message: "Entra para ver tu perfil." });
+        window.location.href = "login.html";
+        return;
+      }
+
+      Profile.render();
+      Profile.fill();
+      Profile.bindForms();
+    },
+
     admin() {
       const user = Auth.currentUser();
 
-      // Guardia: solo admins.
-      if (!user || user.role !== "admin") {
+      // Guardia: solo quien tenga acceso al panel (admins y moderadores).
+      if (!can(user, "admin.access")) {
         UI.toast({ title: "Acceso denegado", message: "No tienes permisos para entrar aquí." });
         window.location.href = "index.html";
         return;
       }
 
+      // Guardia: 2FA obligatorio para admins (según CONFIG).
+      if (TwoFactor.isRequired(user) && !TwoFactor.isEnabled(user)) {
+        UI.toast({ title: "Falta un paso", message: "Activa la verificación en dos pasos para entrar al panel." });
+        window.location.href = "index.html#seguridad";
+        return;
+      }
+
+      if (user.role === "admin" && CONFIG.twoFactor.requireForAdmins && !TwoFactor.isAvailable() && !TwoFactor.isEnabled(user)) {
+        UI.toast({
+          title: "Sin verificación en dos pasos",
+          message: "Este navegador no la permite (hace falta HTTPS), así que no se exige. Actívala desde una conexión segura."
+        });
+      }
+
       Admin.bindTabs();
+      Admin.bindTables();
       Admin.renderAll();
       Admin.bindActions();
+      Admin.bindBackup();
+      Admin.bindAudit();
+      Admin.bindSuspend();
+      Admin.bindShortcuts();
+      Admin.bindThread();
+    }
+  };
+
+  /* ==========================================================================
+     16) SINCRONIZACIÓN ENTRE PESTAÑAS
+     - Con BroadcastChannel se avisa a las demás pestañas de cada escritura
+       (sirve para cualquier driver). Sin él, se usa el evento "storage",
+       que solo existe con el driver de localStorage.
+  ========================================================================== */
+  const Sync = {
+    channel: null,
+    userId: null,
+
+    init() {
+      Sync.userId = Auth.currentSession()?.userId || null;
+
+      if ("BroadcastChannel" in window) {
+        Sync.channel = new BroadcastChannel(`${CONFIG.storagePrefix}sync`);
+        Sync.channel.onmessage = async (ev) => {
+          const name = ev.data?.name;
+          if (!name) return;
+          await Store.reload(name);
+          Sync.refresh(name);
+        };
+        return;
+      }
+
+      window.addEventListener("storage", (ev) => {
+        if (!ev.key || !ev.key.startsWith(CONFIG.storagePrefix)) return;
+        const name = ev.key.slice(CONFIG.storagePrefix.length);
+
+        if (ev.newValue === null) Store.cache.delete(name);
+        else Store.cache.set(name, safeParse(ev.newValue, null));
+
+        Sync.refresh(name);
+      });
+    },
+
+    // Avisa al resto de pestañas (no llega a la propia).
+    notify(name) {
+      Sync.channel?.postMessage({ name });
+    },
+
+    // Repinta lo que depende de la key que ha cambiado.
+    refresh(name) {
+      if (name === Keys.session || name === Keys.sessions || name === Keys.users) {
+        const user = Auth.checkSession();
+        const userId = Auth.currentSession()?.userId || null;
+
+        if (userId !== Sync.userId) {
+          Sync.userId = userId;
+          UI.closeGameModal();
+        }
+
+        if (document.body.dataset.page === "admin" && !can(user, "admin.access")) {
+          window.location.href = "index.html";
+          return;
+        }
+
+        if (document.body.dataset.page === "profile" && !user) {
+          window.location.href = "login.html";
+          return;
+        }
+      }
+
+      UI.updateNav();
+      Home.renderComments();
+      Home.renderStats();
+      Home.renderSessions();
+      Home.renderTwoFactor();
+      Home.renderMyThreads();
+      Profile.render();
+      Admin.renderAll();
     }
   };
 
   /* ==========================================================================
-     16) INIT
+     17) INIT
   ========================================================================== */
   document.addEventListener("DOMContentLoaded", async () => {
+    try {
+      await Store.init();
+      await Migrations.run();
+    } catch (err) {
+      UI.toast({ title: "Error", message: err.message });
+      return;
+    }
     await Auth.seedDefaultAdmin();
+    Suspensions.sweep();
+    Auth.checkSession();
     UI.bindCommon();
+    UI.bindNotifications();
 
     const page = document.body.dataset.page;
     if (page && Pages[page]) Pages[page]();
+
+    Sync.init();
   });
 })();